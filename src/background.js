@@ -7,6 +7,9 @@ const STORAGE_SCHEMA_VERSION = 2;
 // Track the most recently active non-extension tab
 let lastActiveTabInfo = null;
 
+// Chapters auto-navigated per tab in the current autoscroll session (tabId -> { count, continuing })
+const chapterSessions = new Map();
+
 // Listen for tab activation changes
 browser.tabs.onActivated.addListener(async (activeInfo) => {
   try {
@@ -16,6 +19,7 @@ browser.tabs.onActivated.addListener(async (activeInfo) => {
       // Only track http/https tabs
       if (url.protocol === 'http:' || url.protocol === 'https:') {
         lastActiveTabInfo = {
+          tabId: tab.id,
           url: tab.url,
           hostname: url.hostname,
           timestamp: Date.now()
@@ -35,6 +39,7 @@ browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
       // Only track http/https tabs
       if (url.protocol === 'http:' || url.protocol === 'https:') {
         lastActiveTabInfo = {
+          tabId: tabId,
           url: changeInfo.url,
           hostname: url.hostname,
           timestamp: Date.now()
@@ -46,6 +51,67 @@ browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
+// Default gesture -> action bindings per autoscroll state
+// idle = autoscroll not running, scrolling/paused = autoscroll active
+const DEFAULT_GESTURE_BINDINGS = {
+  idle: {
+    tap1: 'tapZones',
+    tap2: 'start',
+    tap3: 'toggleSite',
+    tap4: 'picker',
+    doubleTap: 'none',
+    longPress: 'none',
+    twoFingerSwipeUp: 'none',
+    twoFingerSwipeDown: 'none',
+    twoFingerSwipeLeft: 'none',
+    twoFingerSwipeRight: 'none',
+    edgeLeft: 'none',
+    edgeRight: 'none',
+    edgeTop: 'none',
+    edgeBottom: 'none'
+  },
+  scrolling: {
+    tap1: 'pause',
+    tap2: 'toggleDirection',
+    tap3: 'toggleSite',
+    tap4: 'picker',
+    doubleTap: 'none',
+    longPress: 'holdPause',
+    swipeUp: 'faster',
+    swipeDown: 'slower',
+    swipeLeft: 'stop',
+    swipeRight: 'stop',
+    twoFingerSwipeUp: 'none',
+    twoFingerSwipeDown: 'none',
+    twoFingerSwipeLeft: 'none',
+    twoFingerSwipeRight: 'none',
+    edgeLeft: 'none',
+    edgeRight: 'none',
+    edgeTop: 'none',
+    edgeBottom: 'none'
+  },
+  paused: {
+    tap1: 'resume',
+    tap2: 'resume',
+    tap3: 'toggleSite',
+    tap4: 'picker',
+    doubleTap: 'none',
+    longPress: 'none',
+    swipeUp: 'faster',
+    swipeDown: 'slower',
+    swipeLeft: 'stop',
+    swipeRight: 'stop',
+    twoFingerSwipeUp: 'none',
+    twoFingerSwipeDown: 'none',
+    twoFingerSwipeLeft: 'none',
+    twoFingerSwipeRight: 'none',
+    edgeLeft: 'none',
+    edgeRight: 'none',
+    edgeTop: 'none',
+    edgeBottom: 'none'
+  }
+};
+
 // Default configuration template (used for new domains)
 const DEFAULT_CONFIG = {
   tapNavigationEnabled: true,
@@ -56,9 +122,60 @@ const DEFAULT_CONFIG = {
   minSpeed: 1,           // px/sec
   maxSpeed: 3000,        // px/sec
   granularity: 10,       // px/sec
+  speedUnit: 'px',       // Options: 'px' (px/sec), 'wpm' (words per minute)
+  targetWpm: 250,        // words/min (used when speedUnit is 'wpm')
+  minWpm: 50,            // words/min
+  maxWpm: 1000,          // words/min
+  wpmGranularity: 10,    // words/min
+  autoscrollMode: 'continuous', // Options: 'continuous' (smooth scrolling), 'stepped' (timed page turns), 'readAloud' (text-to-speech)
+  steppedInterval: 10,          // Seconds between page turns in stepped mode
+  minSteppedInterval: 2,        // seconds
+  maxSteppedInterval: 120,      // seconds
+  steppedGranularity: 1,        // seconds
+  ttsVoice: '',                 // voiceURI of the read aloud voice ('' = browser default)
+  ttsRate: 1,                   // Speech rate in read aloud mode (0.5-3x)
+  ttsRateGranularity: 0.1,      // Speech rate change per speed adjustment
+  adaptiveSpeedEnabled: false, // Speed up through sparse regions, slow down over dense text
+  adaptiveSpeedStrength: 50,   // How strongly density affects speed (10-100%)
+  smartPauseEnabled: false,    // Pause or slow down when marked elements reach the reading line
+  smartPauseSelectors: 'h1, h2, h3, figure, img', // Comma-separated CSS selectors
+  smartPauseAction: 'pause',   // Options: 'pause', 'slow'
+  smartPauseDuration: 3,       // Seconds to pause/slow (0 = stay paused until tap)
+  smartPauseLinePercentage: 30, // Reading line position (% from top/left of viewport)
+  endOfPageGracePeriod: 3,     // Seconds to wait for more content at the bottom (0 = stop immediately)
+  sleepTimerMinutes: 0,        // Stop autoscroll after this many minutes (0 = no timer)
+  sleepTimerExtendMinutes: 10, // Minutes added when extending the sleep timer
+  einkModeEnabled: false,      // Instant paging and discrete autoscroll jumps for e-ink screens
+  einkFlashEnabled: false,     // Flash black/white after each jump to clear ghosting
+  autoPauseEnabled: true,      // Pause autoscroll when the tab is hidden, loses focus or a text field is focused
+  autoResumeEnabled: false,    // Resume automatically once the page is back in view and focused
+  wakeLockEnabled: true,       // Keep the screen on while autoscrolling
+  wakeLockIdleTimeout: 5,      // Minutes paused before the screen may sleep again (0 = keep on while paused)
+  rememberPositionEnabled: true, // Remember reading position per URL and offer to resume
+  progressBarEnabled: false,   // Show progress bar with time-to-end while autoscrolling
+  readingGuideEnabled: false,  // Show a reading guide overlay while autoscrolling
+  readingGuideStyle: 'line',   // Options: 'line' (ruler line), 'band' (dimmed mask with clear band)
+  readingGuidePosition: 33,    // Guide position (% from top/left of viewport)
+  readingGuideHeight: 15,      // Clear band size (% of viewport, band style only)
+  readingGuideOpacity: 50,     // Line/mask opacity (10-90%)
   tapScrollPercentage: 100,  // Percentage of viewport height to scroll (10-100%)
   tapZoneLayout: 'horizontal', // Options: 'horizontal', 'vertical'
   tapZoneUpPercentage: 50,   // Size of scroll-up zone (10-90%), remaining is scroll-down
+  scrollAxis: 'vertical',    // Options: 'vertical', 'horizontal' (side-scrolling readers)
+  scrollContainerSelector: '', // CSS selector of the element to scroll ('' = auto-detect)
+  longPressDuration: 500,     // Milliseconds a finger must be held still for a long press
+  doubleTapWindow: 300,       // Milliseconds to wait for a second tap (only when double tap is bound)
+  tapMaxDuration: 200,        // Longest touch that still counts as a tap (ms)
+  tapMaxMovement: 10,         // Most a finger may move during a tap (px)
+  swipeMinDistance: 50,       // Shortest movement that counts as a swipe (px)
+  speedAdjustmentDistance: 30, // Finger travel per speed step when swiping faster/slower (px)
+  pinchSpeedEnabled: true,    // Pinch out/in with two fingers while autoscrolling to raise/lower speed
+  touchGesturesEnabled: true, // Recognize gestures from fingers
+  penGesturesEnabled: true,   // Recognize gestures from a stylus
+  mouseGesturesEnabled: true, // Recognize gestures from a mouse (clicks, drags, wheel activation)
+  edgeSwipeWidth: 30,         // Width of the band along each screen edge where edge swipes start (px)
+  edgeSwipeSystemInset: 24,   // Left/right strip left to Android's back gesture (px)
+  gestureBindings: DEFAULT_GESTURE_BINDINGS, // Gesture -> action per state (idle, scrolling, paused)
   
   // Auto-navigate settings (per-domain)
   autoNavigateEnabled: false,           // Enable/disable for this domain
@@ -289,6 +406,22 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
       // Rename a preset
       return await renamePreset(message.oldName, message.newName);
       
+    case 'saveReadingPosition':
+      // Remember where the user stopped reading on a page
+      return await saveReadingPosition(message.url, message.readingPosition);
+      
+    case 'getReadingPosition':
+      // Get the saved reading position for a page
+      return await getReadingPosition(message.url);
+      
+    case 'chapterNavigated':
+      // Auto-navigate moved the tab to the next chapter
+      return recordChapterNavigated(sender.tab);
+      
+    case 'startChapterSession':
+      // Autoscroll started in a tab - continue or reset its chapter count
+      return startChapterSession(sender.tab, message.continued);
+      
     case 'startElementPicking':
       // Options page is starting element picking
       setPickingState(true, 'startElementPicking message received');
@@ -719,6 +852,107 @@ async function renamePreset(oldName, newName) {
   }
 }
 
+// ============================================================================
+// READING POSITIONS
+// ============================================================================
+
+// Keep storage bounded: newest entries win, stale ones expire
+const READING_POSITION_MAX_ENTRIES = 200;
+const READING_POSITION_MAX_AGE = 90 * 24 * 60 * 60 * 1000; // 90 days
+
+// Save the reading position for a page URL (and prune old entries)
+async function saveReadingPosition(url, readingPosition) {
+  try {
+    if (!url || !readingPosition) {
+      return { success: false, error: 'Missing URL or position' };
+    }
+    
+    const result = await browser.storage.local.get('gesture_autoscroller_reading_positions');
+    const positions = result.gesture_autoscroller_reading_positions || {};
+    
+    positions[url] = {
+      ...readingPosition,
+      timestamp: Date.now()
+    };
+    
+    await browser.storage.local.set({
+      gesture_autoscroller_reading_positions: pruneReadingPositions(positions)
+    });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to save reading position:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get the saved reading position for a page URL
+async function getReadingPosition(url) {
+  try {
+    const result = await browser.storage.local.get('gesture_autoscroller_reading_positions');
+    const positions = result.gesture_autoscroller_reading_positions || {};
+    const readingPosition = positions[url];
+    
+    // Ignore expired entries (they are removed on the next save)
+    if (!readingPosition || Date.now() - readingPosition.timestamp > READING_POSITION_MAX_AGE) {
+      return { success: true, readingPosition: null };
+    }
+    
+    return { success: true, readingPosition };
+  } catch (error) {
+    console.error('Failed to get reading position:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Drop expired entries and keep only the most recent READING_POSITION_MAX_ENTRIES
+function pruneReadingPositions(positions) {
+  const now = Date.now();
+  
+  const entries = Object.entries(positions)
+    .filter(([url, position]) => now - position.timestamp <= READING_POSITION_MAX_AGE)
+    .sort((a, b) => b[1].timestamp - a[1].timestamp)
+    .slice(0, READING_POSITION_MAX_ENTRIES);
+  
+  return Object.fromEntries(entries);
+}
+
+// ============================================================================
+// CHAPTER SESSIONS
+// ============================================================================
+
+// Count one more chapter for the tab; the next autoscroll start there continues the session
+function recordChapterNavigated(tab) {
+  if (!tab) {
+    return { success: false, error: 'Not sent from a tab' };
+  }
+  
+  const session = chapterSessions.get(tab.id) || { count: 0, continuing: false };
+  session.count++;
+  session.continuing = true;
+  chapterSessions.set(tab.id, session);
+  
+  return { success: true, chapterCount: session.count };
+}
+
+// Autoscroll started in the tab - keep the count after an auto-navigate, otherwise start over
+function startChapterSession(tab, continued) {
+  if (!tab) {
+    return { success: false, error: 'Not sent from a tab' };
+  }
+  
+  const session = chapterSessions.get(tab.id);
+  const count = continued && session && session.continuing ? session.count : 0;
+  chapterSessions.set(tab.id, { count: count, continuing: false });
+  
+  return { success: true, chapterCount: count };
+}
+
+// Forget chapter counts of closed tabs
+browser.tabs.onRemoved.addListener((tabId) => {
+  chapterSessions.delete(tabId);
+});
+
 // Update browser action icon based on current tab
 browser.tabs.onActivated.addListener(async (activeInfo) => {
   try {
@@ -850,6 +1084,30 @@ browser.storage.onChanged.addListener(async (changes, areaName) => {
   }
 });
 
+// ============================================================================
+// KEYBOARD SHORTCUTS
+// ============================================================================
+
+// Route keyboard shortcuts (manifest "commands") to the active tab's content script
+// The commands API is desktop-only - Firefox for Android has no browser.commands
+if (browser.commands) {
+  browser.commands.onCommand.addListener(async (command) => {
+    try {
+      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+      if (!tab) {
+        return;
+      }
+      
+      await browser.tabs.sendMessage(tab.id, {
+        action: 'runCommand',
+        command: command
+      });
+    } catch (error) {
+      // Tab might not have content script loaded (e.g. about: pages), ignore
+    }
+  });
+}
+
 // ============================================================================
 // CONTEXT MENU FOR ELEMENT SELECTION
 // ============================================================================
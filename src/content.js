@@ -10,6 +10,69 @@
   // CONFIGURATION & STATE
   // ============================================================================
   
+  // Default gesture -> action bindings per autoscroll state
+  // idle = autoscroll not running, scrolling/paused = autoscroll active
+  // Single-finger swipes are only recognized while autoscroll is active (otherwise the page scrolls natively)
+  // Edge swipes (starting in a band along a screen edge) and two-finger swipes are recognized in every state
+  const DEFAULT_GESTURE_BINDINGS = {
+    idle: {
+      tap1: 'tapZones',
+      tap2: 'start',
+      tap3: 'toggleSite',
+      tap4: 'picker',
+      doubleTap: 'none',
+      longPress: 'none',
+      twoFingerSwipeUp: 'none',
+      twoFingerSwipeDown: 'none',
+      twoFingerSwipeLeft: 'none',
+      twoFingerSwipeRight: 'none',
+      edgeLeft: 'none',
+      edgeRight: 'none',
+      edgeTop: 'none',
+      edgeBottom: 'none'
+    },
+    scrolling: {
+      tap1: 'pause',
+      tap2: 'toggleDirection',
+      tap3: 'toggleSite',
+      tap4: 'picker',
+      doubleTap: 'none',
+      longPress: 'holdPause',
+      swipeUp: 'faster',
+      swipeDown: 'slower',
+      swipeLeft: 'stop',
+      swipeRight: 'stop',
+      twoFingerSwipeUp: 'none',
+      twoFingerSwipeDown: 'none',
+      twoFingerSwipeLeft: 'none',
+      twoFingerSwipeRight: 'none',
+      edgeLeft: 'none',
+      edgeRight: 'none',
+      edgeTop: 'none',
+      edgeBottom: 'none'
+    },
+    paused: {
+      tap1: 'resume',
+      tap2: 'resume',
+      tap3: 'toggleSite',
+      tap4: 'picker',
+      doubleTap: 'none',
+      longPress: 'none',
+      swipeUp: 'faster',
+      swipeDown: 'slower',
+      swipeLeft: 'stop',
+      swipeRight: 'stop',
+      twoFingerSwipeUp: 'none',
+      twoFingerSwipeDown: 'none',
+      twoFingerSwipeLeft: 'none',
+      twoFingerSwipeRight: 'none',
+      edgeLeft: 'none',
+      edgeRight: 'none',
+      edgeTop: 'none',
+      edgeBottom: 'none'
+    }
+  };
+  
   // Default settings structure
   const DEFAULT_SETTINGS = {
     tapNavigationEnabled: true,
@@ -20,9 +83,60 @@
     minSpeed: 1,           // px/sec
     maxSpeed: 3000,        // px/sec
     granularity: 10,       // px/sec
+    speedUnit: 'px',       // Options: 'px' (px/sec), 'wpm' (words per minute)
+    targetWpm: 250,        // words/min (used when speedUnit is 'wpm')
+    minWpm: 50,            // words/min
+    maxWpm: 1000,          // words/min
+    wpmGranularity: 10,    // words/min
+    autoscrollMode: 'continuous', // Options: 'continuous' (smooth scrolling), 'stepped' (timed page turns), 'readAloud' (text-to-speech)
+    steppedInterval: 10,          // Seconds between page turns in stepped mode
+    minSteppedInterval: 2,        // seconds
+    maxSteppedInterval: 120,      // seconds
+    steppedGranularity: 1,        // seconds
+    ttsVoice: '',                 // voiceURI of the read aloud voice ('' = browser default)
+    ttsRate: 1,                   // Speech rate in read aloud mode (0.5-3x)
+    ttsRateGranularity: 0.1,      // Speech rate change per speed adjustment
+    adaptiveSpeedEnabled: false, // Speed up through sparse regions, slow down over dense text
+    adaptiveSpeedStrength: 50,   // How strongly density affects speed (10-100%)
+    smartPauseEnabled: false,    // Pause or slow down when marked elements reach the reading line
+    smartPauseSelectors: 'h1, h2, h3, figure, img', // Comma-separated CSS selectors
+    smartPauseAction: 'pause',   // Options: 'pause', 'slow'
+    smartPauseDuration: 3,       // Seconds to pause/slow (0 = stay paused until tap)
+    smartPauseLinePercentage: 30, // Reading line position (% from top/left of viewport)
+    endOfPageGracePeriod: 3,     // Seconds to wait for more content at the bottom (0 = stop immediately)
+    sleepTimerMinutes: 0,        // Stop autoscroll after this many minutes (0 = no timer)
+    sleepTimerExtendMinutes: 10, // Minutes added when extending the sleep timer
+    einkModeEnabled: false,      // Instant paging and discrete autoscroll jumps for e-ink screens
+    einkFlashEnabled: false,     // Flash black/white after each jump to clear ghosting
+    autoPauseEnabled: true,      // Pause autoscroll when the tab is hidden, loses focus or a text field is focused
+    autoResumeEnabled: false,    // Resume automatically once the page is back in view and focused
+    wakeLockEnabled: true,       // Keep the screen on while autoscrolling
+    wakeLockIdleTimeout: 5,      // Minutes paused before the screen may sleep again (0 = keep on while paused)
+    rememberPositionEnabled: true, // Remember reading position per URL and offer to resume
+    progressBarEnabled: false,   // Show progress bar with time-to-end while autoscrolling
+    readingGuideEnabled: false,  // Show a reading guide overlay while autoscrolling
+    readingGuideStyle: 'line',   // Options: 'line' (ruler line), 'band' (dimmed mask with clear band)
+    readingGuidePosition: 33,    // Guide position (% from top/left of viewport)
+    readingGuideHeight: 15,      // Clear band size (% of viewport, band style only)
+    readingGuideOpacity: 50,     // Line/mask opacity (10-90%)
     tapScrollPercentage: 100,   // Percentage of viewport height to scroll (10-100%)
     tapZoneLayout: 'horizontal', // Options: 'horizontal', 'vertical'
-    tapZoneUpPercentage: 50     // Size of scroll-up zone (10-90%)
+    tapZoneUpPercentage: 50,    // Size of scroll-up zone (10-90%)
+    scrollAxis: 'vertical',     // Options: 'vertical', 'horizontal' (side-scrolling readers)
+    scrollContainerSelector: '', // CSS selector of the element to scroll ('' = auto-detect)
+    longPressDuration: 500,     // Milliseconds a finger must be held still for a long press
+    doubleTapWindow: 300,       // Milliseconds to wait for a second tap (only when double tap is bound)
+    tapMaxDuration: 200,        // Longest touch that still counts as a tap (ms)
+    tapMaxMovement: 10,         // Most a finger may move during a tap (px)
+    swipeMinDistance: 50,       // Shortest movement that counts as a swipe (px)
+    speedAdjustmentDistance: 30, // Finger travel per speed step when swiping faster/slower (px)
+    pinchSpeedEnabled: true,    // Pinch out/in with two fingers while autoscrolling to raise/lower speed
+    touchGesturesEnabled: true, // Recognize gestures from fingers
+    penGesturesEnabled: true,   // Recognize gestures from a stylus
+    mouseGesturesEnabled: true, // Recognize gestures from a mouse (clicks, drags, wheel activation)
+    edgeSwipeWidth: 30,         // Width of the band along each screen edge where edge swipes start (px)
+    edgeSwipeSystemInset: 24,   // Left/right strip left to Android's back gesture (px)
+    gestureBindings: DEFAULT_GESTURE_BINDINGS // Gesture -> action per state (idle, scrolling, paused)
   };
   
   // Current settings
@@ -45,19 +159,50 @@
   // For tracking continuous gesture direction changes
   let lastCheckX = 0; // Last position where we checked direction
   let lastCheckY = 0; // Last position where we checked direction
-  let lastSpeedAdjustmentY = 0; // Last Y position where we adjusted speed
+  let lastSpeedAdjustmentPosition = 0; // Last position (along scroll axis) where we adjusted speed
   let accumulatedSpeedDistance = 0; // Accumulated distance for speed adjustment
+  let swipeActionHandled = false; // A (non-speed) swipe action already ran during this touch
+  
+  // Long press tracking
+  let longPressTimer = null; // Pending long press recognition
+  let longPressTriggered = false; // A long press was recognized during this touch
+  let isHoldPaused = false; // Autoscroll is paused until the held finger lifts
+  
+  // Double tap tracking
+  let pendingTapTimer = null; // Single tap waiting to see if a second tap follows
+  let pendingTapPoint = null; // Where the pending single tap landed, plus the action it runs (bound at tap time)
+  let tapPoint = { x: 0, y: 0, target: null }; // Where the tap being handled landed (may run delayed)
+  
+  // Edge swipe tracking
+  let touchStartEdge = null; // Bound screen edge the touch started on ('left', 'right', 'top', 'bottom')
+  let isEdgeSwipe = false; // Touch committed to an edge swipe (replaces normal swipe handling)
+  let edgeSwipeHandled = false; // The edge swipe action already ran during this touch
+  
+  // Pinch speed tracking
+  let pinchStartDistance = 0; // Finger spread when the second finger touched (0 = no pinch)
+  let lastPinchDistance = 0; // Finger spread at the last speed check
+  let accumulatedPinchDistance = 0; // Signed spread change not yet turned into speed steps
+  let isPinchGesture = false; // Fingers spread/closed enough to count as a pinch
+  
+  // Two-finger swipe tracking
+  let twoFingerStartTouches = null; // [{ id, x, y }] of both fingers (null = not tracking)
+  let isTwoFingerSwipe = false; // Both fingers moved the same way - replaces other handling
+  let twoFingerSwipeHandled = false; // The two-finger swipe action already ran during this touch
+  
+  // Pointer input layer state
+  const activePointers = new Map(); // pointerId -> { identifier, clientX, clientY } of pointers currently down
+  let activePointerType = null; // 'touch', 'pen' or 'mouse' - one input type per gesture
+  let preventNativeTouch = false; // A gesture handler cancelled the pointer event - cancel the matching touch event
+  let panBlockedElement = null; // Element given touch-action: none while autoscroll is active
   
   // Constants
-  const TAP_MAX_DURATION = 200; // milliseconds (quick tap)
-  const TAP_MAX_MOVEMENT = 10; // pixels
-  const SWIPE_MIN_DISTANCE = 50; // pixels (minimum swipe distance)
   const GESTURE_SEQUENCE_TIMEOUT = 2000; // milliseconds (time window for gesture sequence)
-  const SPEED_ADJUSTMENT_DISTANCE = 30; // pixels traveled to trigger one speed adjustment
+  const DOUBLE_TAP_MAX_DISTANCE = 40; // pixels between the two taps of a double tap
   
   // Toast state
   let toastElement = null;
   let toastTimeout = null;
+  let toastTapResetTimeout = null; // Makes a tappable toast click-through again
   
   // Autoscroll state
   let autoscroller = null;
@@ -86,9 +231,15 @@
   let tapScrollTargetPosition = 0;
   let tapScrollStartTime = 0;
   const TAP_SCROLL_DURATION = 500; // milliseconds for smooth scroll animation
+  let tapScrollTarget = null; // Element being scrolled by the current tap scroll
+  let tapScrollAxis = 'vertical'; // Axis of the current tap scroll
   
-  // Wake Lock (keeps screen active during autoscroll)
-  let wakeLock = null;
+  // Scroll target detection (window vs. inner scrollable container)
+  let cachedScrollTarget = null;
+  let cachedScrollAxis = null; // Axis the cached target was detected for
+  const SCROLLABLE_MIN_OVERFLOW = 10; // pixels of overflow before an element counts as scrollable
+  const DOCUMENT_MIN_OVERFLOW_RATIO = 0.25; // document must overflow by this much of the viewport to win
+  const CONTAINER_MIN_VISIBLE_RATIO = 0.25; // container must cover this much of the viewport to be picked
   
   // ============================================================================
   // INITIALIZATION
@@ -135,12 +286,13 @@
   }
   
   // Save current speed to storage (per-domain)
-  async function saveCurrentSpeedToStorage(newSpeed) {
+  // settingKey is 'defaultSpeed' (px/sec) or 'targetWpm' (words per minute)
+  async function saveCurrentSpeedToStorage(newSpeed, settingKey = 'defaultSpeed') {
     try {
       const hostname = window.location.hostname;
       
       // Update local settings
-      settings.defaultSpeed = newSpeed;
+      settings[settingKey] = newSpeed;
       
       // Save to browser storage (domain-specific)
       await browser.runtime.sendMessage({
@@ -179,10 +331,17 @@
     if (document.body) {
       document.body.classList.add('gesture-autoscroller-active');
     }
+    updateDoubleTapClass();
     
     // Touch listeners are already set up in init() for three-finger tap
     // No need to set them up again here
     
+    // Remember where we stop reading and offer to go back there
+    if (settings.rememberPositionEnabled) {
+      setupReadingPositionTracking();
+      offerReadingPositionResume();
+    }
+    
     // Start auto-start countdown if enabled
     if (settings.autoStartEnabled && settings.autoscrollEnabled) {
       startAutoStartCountdown();
@@ -197,10 +356,12 @@
     if (document.body) {
       document.body.classList.remove('gesture-autoscroller-active');
     }
+    updateDoubleTapClass();
     
     // Keep touch listeners active for three-finger tap functionality
     // Don't remove them here - they should remain active to allow re-enabling with 3-finger tap
     
+    removeReadingPositionTracking();
     cancelAutoStartCountdown();
   }
   
@@ -280,7 +441,7 @@
         cancelAutoStartCountdown();
         
         if (settings.autoscrollEnabled) {
-          activateAutoscroll();
+          activateAutoscroll(settings.sleepTimerMinutes, true);
         }
       }
     }, 1000);
@@ -396,6 +557,17 @@
         -webkit-touch-callout: none;
       }
       
+      /* Double tap is bound to an action - no double-tap-to-zoom (pinch zoom still works) */
+      body.gesture-autoscroller-double-tap {
+        touch-action: manipulation;
+      }
+      
+      /* Autoscroll active - gestures own every touch and pen stroke (no native panning or pointercancel) */
+      body.gesture-autoscroller-no-pan,
+      .gesture-autoscroller-no-pan {
+        touch-action: none;
+      }
+      
       /* Prevent overscroll bounce on mobile - always active to prevent white space scrolling */
       html {
         overscroll-behavior-y: none;
@@ -446,8 +618,43 @@
     gestureSequence = [];
     lastCheckX = touchStartX;
     lastCheckY = touchStartY;
-    lastSpeedAdjustmentY = touchStartY;
+    lastSpeedAdjustmentPosition = getAxisCoordinate(touchStartX, touchStartY);
     accumulatedSpeedDistance = 0;
+    swipeActionHandled = false;
+    
+    // A second finger turns a long press into a multi-finger gesture
+    cancelLongPress();
+    longPressTriggered = false;
+    // Mouse: primary button only (right button opens the context menu)
+    if (fingerCount === 1 && !event.button) {
+      startLongPressTimer(event);
+    }
+    
+    // Edge swipes start with one finger inside an edge band
+    isEdgeSwipe = false;
+    edgeSwipeHandled = false;
+    touchStartEdge = fingerCount === 1 ? getTouchEdge(touchStartX, touchStartY) : null;
+    
+    // Two-finger swipes: exactly two fingers, only tracked when one is bound
+    isTwoFingerSwipe = false;
+    twoFingerSwipeHandled = false;
+    twoFingerStartTouches = null;
+    if (fingerCount === 2 && ['Up', 'Down', 'Left', 'Right'].some(dir => isGestureBound(`twoFingerSwipe${dir}`))) {
+      twoFingerStartTouches = Array.from(event.touches, touch => ({
+        id: touch.identifier,
+        x: touch.clientX,
+        y: touch.clientY
+      }));
+    }
+    
+    // Pinch speed: exactly two fingers while autoscrolling
+    isPinchGesture = false;
+    pinchStartDistance = 0;
+    if (fingerCount === 2 && settings.pinchSpeedEnabled && autoscroller && autoscroller.isActive()) {
+      pinchStartDistance = getPinchDistance(event.touches);
+      lastPinchDistance = pinchStartDistance;
+      accumulatedPinchDistance = 0;
+    }
     
     // Cancel auto-start countdown on any touch interaction
     if (autoStartCountdownInterval) {
@@ -470,20 +677,48 @@
     
     [touchEndX, touchEndY] = getXY(event);
     
+    // Moving the finger is not a long press
+    if (longPressTimer &&
+        (Math.abs(touchEndX - touchStartX) >= settings.tapMaxMovement || Math.abs(touchEndY - touchStartY) >= settings.tapMaxMovement)) {
+      cancelLongPress();
+    }
+    
+    // Once a long press is recognized the rest of the touch is just holding
+    if (longPressTriggered) {
+      return;
+    }
+    
+    // Edge swipes replace normal swipe handling once the finger moves inward
+    if (touchStartEdge && handleEdgeSwipeMove(event)) {
+      return;
+    }
+    
+    // Two fingers moving the same way are a two-finger swipe (checked before pinch)
+    if (twoFingerStartTouches && handleTwoFingerMove(event)) {
+      return;
+    }
+    
+    // A pinch only changes speed (native zoom is already blocked while autoscroll is active)
+    if (pinchStartDistance && handlePinchMove(event)) {
+      return;
+    }
+    
     // FIRST: Handle speed adjustment continuously (with low threshold)
     // This runs on every touch move when autoscroll is active
     if (autoscroller && autoscroller.isActive()) {
-      const deltaYFromStart = touchEndY - touchStartY;
-      const absYFromStart = Math.abs(deltaYFromStart);
-      
-      // Determine if this is primarily a vertical gesture
-      const deltaXFromStart = touchEndX - touchStartX;
-      const absXFromStart = Math.abs(deltaXFromStart);
+      // Movement along the scroll axis adjusts speed, across it stops
+      const deltaAlongAxis = getAxisCoordinate(touchEndX, touchEndY) - getAxisCoordinate(touchStartX, touchStartY);
+      const absAlongAxis = Math.abs(deltaAlongAxis);
+      const absAcrossAxis = getScrollAxis() === 'horizontal'
+        ? Math.abs(touchEndY - touchStartY)
+        : Math.abs(touchEndX - touchStartX);
       
-      // If vertical movement dominates, handle speed adjustment
-      if (absYFromStart > absXFromStart && absYFromStart > 10) {
-        const direction = deltaYFromStart > 0 ? 'down' : 'up';
-        handleDistanceBasedSpeedAdjustment(direction);
+      // If movement along the scroll axis dominates and it is bound to a speed change, adjust continuously
+      if (absAlongAxis > absAcrossAxis && absAlongAxis > 10) {
+        const action = getGestureAction(deltaAlongAxis > 0 ? 'swipeDown' : 'swipeUp');
+        if (action === 'faster' || action === 'slower') {
+          handleDistanceBasedSpeedAdjustment(action);
+        }
       }
     }
     
@@ -495,7 +730,7 @@
     const absY = Math.abs(deltaY);
     
     // Only process gesture direction if movement is significant since last check
-    if (absX < SWIPE_MIN_DISTANCE && absY < SWIPE_MIN_DISTANCE) {
+    if (absX < settings.swipeMinDistance && absY < settings.swipeMinDistance) {
       return;
     }
     
@@ -507,6 +742,9 @@
       currentDirection = deltaX > 0 ? 'right' : 'left';
     }
     
+    // Express direction relative to the scroll axis
+    currentDirection = toAxisDirection(currentDirection);
+    
     // Check if direction changed (this indicates a continuous gesture sequence)
     if (currentDirection !== lastGestureDirection && lastGestureDirection !== null) {
       // Direction changed during continuous touch - add to gesture sequence
@@ -535,9 +773,51 @@
   
   // Touch end handler
   function onTouchEnd(event) {
+    // Multi-finger gestures end when the last finger lifts (one gesture, not one per finger);
+    // single-finger touches keep their usual per-touchend handling
+    if (fingerCount > 1 && event.touches && event.touches.length > 0) {
+      return;
+    }
+    
     isTouchActive = false; // Mark touch as inactive
     touchEndTime = Date.now();
     
+    // A long press replaces tap/swipe handling for this touch
+    cancelLongPress();
+    if (longPressTriggered) {
+      endLongPress();
+      lastGestureDirection = null;
+      isTrackingContinuousGesture = false;
+      return;
+    }
+    
+    // So does an edge swipe (its action already ran while moving)
+    if (isEdgeSwipe) {
+      isEdgeSwipe = false;
+      touchStartEdge = null;
+      lastGestureDirection = null;
+      isTrackingContinuousGesture = false;
+      return;
+    }
+    
+    // And a two-finger swipe
+    twoFingerStartTouches = null;
+    if (isTwoFingerSwipe) {
+      isTwoFingerSwipe = false;
+      lastGestureDirection = null;
+      isTrackingContinuousGesture = false;
+      return;
+    }
+    
+    // And a pinch (speed already changed while moving)
+    pinchStartDistance = 0;
+    if (isPinchGesture) {
+      isPinchGesture = false;
+      lastGestureDirection = null;
+      isTrackingContinuousGesture = false;
+      return;
+    }
+    
     const deltaX = touchEndX - touchStartX;
     const deltaY = touchEndY - touchStartY;
     const absX = Math.abs(deltaX);
@@ -545,7 +825,7 @@
     const duration = touchEndTime - touchStartTime;
     
     // Detect tap
-    if (duration < TAP_MAX_DURATION && absX < TAP_MAX_MOVEMENT && absY < TAP_MAX_MOVEMENT) {
+    if (duration < settings.tapMaxDuration && absX < settings.tapMaxMovement && absY < settings.tapMaxMovement) {
       // If tap scroll is in progress, prevent default to avoid cancelling the smooth scroll
       if (isTapScrollInProgress) {
         event.preventDefault();
@@ -558,7 +838,7 @@
     }
     
     // Detect swipe
-    if (absX > SWIPE_MIN_DISTANCE || absY > SWIPE_MIN_DISTANCE) {
+    if (absX > settings.swipeMinDistance || absY > settings.swipeMinDistance) {
       handleSwipe(deltaX, deltaY, absX, absY);
       // Reset continuous gesture tracking after processing
       lastGestureDirection = null;
@@ -575,6 +855,21 @@
   function onTouchCancel(event) {
     isTouchActive = false; // Mark touch as inactive
     
+    // The browser took the touch over (e.g. native scrolling) - still counts as a swipe
+    if (autoNavigateCountdownInterval) {
+      cancelAutoNavigateCountdown();
+      showToast('Auto-navigate cancelled', 2000);
+    }
+    
+    cancelLongPress();
+    endLongPress();
+    isEdgeSwipe = false;
+    touchStartEdge = null;
+    isPinchGesture = false;
+    pinchStartDistance = 0;
+    isTwoFingerSwipe = false;
+    twoFingerStartTouches = null;
+    
     // Reset state
     touchStartX = 0;
     touchStartY = 0;
@@ -588,781 +883,3416 @@
     gestureSequence = [];
   }
   
-  // Setup touch event listeners
-  function setupTouchListeners() {
-    if ('ontouchstart' in window) {
-      // Mobile touch events
-      // Use passive:false for touchend to allow preventDefault() during tap scroll lock
-      // Use passive:false for touchmove to allow preventDefault() when autoscroll is active
-      window.addEventListener('touchstart', onTouchStart, { passive: true });
-      window.addEventListener('touchmove', onTouchMove, { passive: false });
-      window.addEventListener('touchend', onTouchEnd, { passive: false });
-      window.addEventListener('touchcancel', onTouchCancel, { passive: true });
-    } else {
-      // Desktop: mouse events for gestures + scroll event for activation
-      window.addEventListener('mousedown', onTouchStart, { passive: true });
-      window.addEventListener('mousemove', onTouchMove, { passive: true });
-      window.addEventListener('mouseup', onTouchEnd, { passive: false });
-      
-      // Add scroll listener for desktop activation
-      window.addEventListener('wheel', onWheelScroll, { passive: false });
+  // Start recognizing a long press (finger held still on page content)
+  function startLongPressTimer(event) {
+    // Leave links, form fields and editable text to the browser's own long press (menus, text selection)
+    if (isInteractiveElement(event.target) || isEditableElement(event.target)) {
+      return;
     }
+    
+    // An existing text selection is adjusted with a long press - don't fight it
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed) {
+      return;
+    }
+    
+    // Nothing bound (or not runnable on this site) - keep the native long press
+    if (!isGestureBound('longPress')) {
+      return;
+    }
+    
+    longPressTimer = setTimeout(onLongPress, settings.longPressDuration);
   }
   
-  // Cleanup function
-  function removeTouchListeners() {
-    if ('ontouchstart' in window) {
-      window.removeEventListener('touchstart', onTouchStart);
-      window.removeEventListener('touchmove', onTouchMove);
-      window.removeEventListener('touchend', onTouchEnd);
-      window.removeEventListener('touchcancel', onTouchCancel);
-    } else {
-      window.removeEventListener('mousedown', onTouchStart);
-      window.removeEventListener('mousemove', onTouchMove);
-      window.removeEventListener('mouseup', onTouchEnd);
-      window.removeEventListener('wheel', onWheelScroll);
+  // Cancel a pending long press
+  function cancelLongPress() {
+    if (longPressTimer) {
+      clearTimeout(longPressTimer);
+      longPressTimer = null;
     }
   }
   
-  // ============================================================================
-  // DESKTOP SCROLL ACTIVATION
-  // ============================================================================
-  
-  // Handle wheel scroll for desktop activation
-  function onWheelScroll(event) {
-    // Only handle on desktop (non-touch devices)
-    if ('ontouchstart' in window) {
+  // Long press recognized (finger still down)
+  function onLongPress() {
+    longPressTimer = null;
+    if (!isTouchActive) {
       return;
     }
     
-    // Require extension to be active
-    if (!isExtensionActive) {
+    longPressTriggered = true;
+    runAction(getGestureAction('longPress'));
+  }
+  
+  // Finger lifted after a long press - resume a hold-to-pause
+  function endLongPress() {
+    longPressTriggered = false;
+    if (!isHoldPaused) {
       return;
     }
     
-    // If autoscroll is already active, let it handle things
-    if (autoscroller && autoscroller.isActive()) {
-      return;
+    isHoldPaused = false;
+    if (autoscroller && autoscroller.isActive() && autoscroller.getState() === 'PAUSED' && !document.hidden) {
+      autoscroller.resume();
+      showToast(getResumedToastMessage());
     }
+  }
+  
+  // Suppress the native context menu while a long press gesture is pending or held
+  function onLongPressContextMenu(event) {
+    if (longPressTimer || longPressTriggered) {
+      event.preventDefault();
+    }
+  }
+  
+  // Get the gesture name for a swipe in from an edge ('left' -> 'edgeLeft')
+  function getEdgeGesture(edge) {
+    return `edge${edge.charAt(0).toUpperCase()}${edge.slice(1)}`;
+  }
+  
+  // Bound screen edge a touch starts on, or null
+  // Left/right bands start after the system inset so Android's back gesture keeps its strip
+  function getTouchEdge(x, y) {
+    const width = settings.edgeSwipeWidth;
+    const inset = settings.edgeSwipeSystemInset;
+    const distances = {
+      left: x - inset,
+      right: window.innerWidth - x - inset,
+      top: y,
+      bottom: window.innerHeight - y
+    };
     
-    // Check if autoscroll is enabled
-    if (!settings.autoscrollEnabled) {
-      return;
+    for (const edge of Object.keys(distances)) {
+      if (distances[edge] >= 0 && distances[edge] < width && isGestureBound(getEdgeGesture(edge))) {
+        return edge;
+      }
+    }
+    return null;
+  }
+  
+  // Track a touch that started on an edge band
+  // Returns true while the touch is (or may still become) an edge swipe
+  function handleEdgeSwipeMove(event) {
+    const deltaX = touchEndX - touchStartX;
+    const deltaY = touchEndY - touchStartY;
+    const isHorizontalEdge = touchStartEdge === 'left' || touchStartEdge === 'right';
+    const inward = {
+      left: deltaX,
+      right: -deltaX,
+      top: deltaY,
+      bottom: -deltaY
+    }[touchStartEdge];
+    const along = Math.abs(isHorizontalEdge ? deltaY : deltaX);
+    
+    if (!isEdgeSwipe) {
+      if (Math.abs(inward) < settings.tapMaxMovement && along < settings.tapMaxMovement) {
+        // Undecided - hold native scrolling if moving inward would scroll the page
+        if (isHorizontalEdge === (getScrollAxis() === 'horizontal')) {
+          event.preventDefault();
+        }
+        return true;
+      }
+      
+      if (inward <= along) {
+        // Moving along the edge (or outward) - treat it as a normal touch
+        touchStartEdge = null;
+        return false;
+      }
+      
+      isEdgeSwipe = true;
+      cancelLongPress();
     }
     
-    // Check if user is scrolling down (positive deltaY)
-    if (event.deltaY > 0) {
-      // Prevent default scroll behavior
-      event.preventDefault();
+    event.preventDefault();
+    
+    if (!edgeSwipeHandled && inward >= settings.swipeMinDistance) {
+      edgeSwipeHandled = true;
+      runAction(getGestureAction(getEdgeGesture(touchStartEdge)));
+    }
+    return true;
+  }
+  
+  // Track a two-finger touch for a two-finger swipe
+  // Returns true once both fingers move the same way (then the touch is only a two-finger swipe)
+  function handleTwoFingerMove(event) {
+    // Already a pinch - leave it to handlePinchMove
+    if (isPinchGesture) {
+      twoFingerStartTouches = null;
+      return false;
+    }
+    
+    const moves = twoFingerStartTouches.map(start => {
+      const touch = Array.from(event.touches || []).find(t => t.identifier === start.id);
+      return touch ? { x: touch.clientX - start.x, y: touch.clientY - start.y } : null;
+    });
+    
+    // A finger lifted - the rest of the touch belongs to the swipe (if it was one)
+    if (moves.includes(null)) {
+      return isTwoFingerSwipe;
+    }
+    
+    const [first, second] = moves;
+    const sameDirection = first.x * second.x + first.y * second.y > 0;
+    
+    if (!isTwoFingerSwipe) {
+      const moved = Math.max(Math.abs(first.x), Math.abs(first.y), Math.abs(second.x), Math.abs(second.y));
+      if (moved < settings.tapMaxMovement) {
+        // Undecided - hold native panning while the fingers move together, let a pinch zoom through
+        if (sameDirection) {
+          event.preventDefault();
+        }
+        return false;
+      }
       
-      // Activate autoscroll
-      activateAutoscroll();
+      if (!sameDirection) {
+        // Fingers moving apart/together - a pinch, not a swipe
+        twoFingerStartTouches = null;
+        return false;
+      }
       
-      // Reset last scroll time
-      lastScrollTime = Date.now();
+      isTwoFingerSwipe = true;
     }
+    
+    event.preventDefault();
+    
+    // Use the average movement of both fingers
+    const deltaX = (first.x + second.x) / 2;
+    const deltaY = (first.y + second.y) / 2;
+    if (twoFingerSwipeHandled || Math.max(Math.abs(deltaX), Math.abs(deltaY)) < settings.swipeMinDistance) {
+      return true;
+    }
+    
+    twoFingerSwipeHandled = true;
+    let direction = Math.abs(deltaY) > Math.abs(deltaX)
+      ? (deltaY > 0 ? 'down' : 'up')
+      : (deltaX > 0 ? 'right' : 'left');
+    direction = toAxisDirection(direction);
+    runAction(getGestureAction(`twoFingerSwipe${direction.charAt(0).toUpperCase()}${direction.slice(1)}`));
+    return true;
   }
   
-  // ============================================================================
-  // TAP NAVIGATION LOGIC
-  // ============================================================================
+  // Distance between the first two touches
+  function getPinchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+  }
   
-  // Handle tap event
-  function handleTap(event) {
-    // Check for four-finger tap (activate element picker) - MOBILE ONLY
-    // This works when extension is active on the current site
-    if (fingerCount === 4 && 'ontouchstart' in window) {
-      // Four-finger tap detected on mobile
-      if (isExtensionActive) {
-        // Don't show toast - the picker has its own UI banner with instructions
-        activateElementPicker();
-      } else {
-        showToast('Add this site to whitelist first (3-finger tap)', 3000);
+  // Track a two-finger touch while autoscrolling
+  // Returns true once it is a pinch: every speedAdjustmentDistance of spread change is one speed step
+  function handlePinchMove(event) {
+    if (!event.touches || event.touches.length < 2) {
+      // One finger already lifted - the rest of the touch belongs to the pinch
+      return isPinchGesture;
+    }
+    
+    const distance = getPinchDistance(event.touches);
+    if (!isPinchGesture) {
+      if (Math.abs(distance - pinchStartDistance) < settings.tapMaxMovement) {
+        return false;
       }
-      return;
+      isPinchGesture = true;
     }
     
-    // Check for three-finger tap (toggle extension for current site) - MOBILE ONLY
-    // This ALWAYS works, even when extension is not active
-    if (fingerCount === 3 && 'ontouchstart' in window) {
-      // Three-finger tap detected on mobile - toggle extension for current site
-      toggleExtensionForCurrentSite();
-      return;
+    event.preventDefault();
+    
+    accumulatedPinchDistance += distance - lastPinchDistance;
+    lastPinchDistance = distance;
+    
+    const steps = Math.trunc(accumulatedPinchDistance / settings.speedAdjustmentDistance);
+    if (steps === 0 || !autoscroller || !autoscroller.isActive()) {
+      return true;
     }
+    accumulatedPinchDistance -= steps * settings.speedAdjustmentDistance;
     
-    // All other gestures require extension to be active
-    if (!isExtensionActive) {
-      return;
+    // Pinch out = faster, pinch in = slower
+    for (let i = 0; i < Math.abs(steps); i++) {
+      if (steps > 0) {
+        autoscroller.increaseSpeed();
+      } else {
+        autoscroller.decreaseSpeed();
+      }
     }
     
-    // Check for two-finger tap (activation gesture) - MOBILE ONLY
-    if (fingerCount === 2 && 'ontouchstart' in window) {
-      // Two-finger tap detected on mobile
-      if (!autoscroller || !autoscroller.isActive()) {
-        // Not autoscrolling - activate with two-finger tap
-        if (settings.autoscrollEnabled) {
-          activateAutoscroll();
-          return;
-        }
-      } else if (autoscroller.getState() === 'PAUSED') {
-        // If paused, two-finger tap resumes (same as single tap)
-        autoscroller.resume();
-        showToast('Resumed');
-        return;
+    showToast(`Speed: ${autoscroller.getSpeedLabel()}`, 600);
+    return true;
+  }
+  
+  // ============================================================================
+  // POINTER INPUT LAYER
+  // ============================================================================
+  // Touch, pen and mouse all arrive as pointer events. Each gesture is fed to the
+  // onTouch* handlers above as a touch-like event listing every pointer that is down.
+  
+  // Check if gestures are enabled for a pointer type
+  function isPointerTypeEnabled(pointerType) {
+    switch (pointerType) {
+      case 'touch':
+        return settings.touchGesturesEnabled;
+      case 'pen':
+        return settings.penGesturesEnabled;
+      case 'mouse':
+        return settings.mouseGesturesEnabled;
+      default:
+        return false;
+    }
+  }
+  
+  // Wrap a pointer event in the shape the gesture handlers expect (touches = pointers down, in press order)
+  // preventDefault() is passed on to the matching touch event - cancelling pointer events doesn't stop scrolling
+  function toGestureEvent(event) {
+    return {
+      target: event.target,
+      button: event.pointerType === 'mouse' ? event.button : undefined,
+      touches: Array.from(activePointers.values()),
+      preventDefault: () => {
+        preventNativeTouch = true;
       }
-      // If already scrolling, two-finger tap does nothing
+    };
+  }
+  
+  // Pointer pressed
+  function onPointerDown(event) {
+    if (!isPointerTypeEnabled(event.pointerType)) {
       return;
     }
     
-    // Check if auto-navigate countdown is active
-    if (autoNavigateCountdownInterval) {
-      cancelAutoNavigateCountdown();
-      showToast('Auto-navigate cancelled', 2000);
+    // Mouse: primary button only (right button opens the context menu)
+    if (event.pointerType === 'mouse' && event.button !== 0) {
       return;
     }
     
-    // Single-finger tap behavior
-    // If autoscroll is active, tap = pause/resume
-    if (autoscroller && autoscroller.isActive()) {
-      autoscroller.toggle();
-      const state = autoscroller.getState();
-      showToast(state === 'PAUSED' ? 'Paused' : 'Resumed');
+    // One input type per gesture (e.g. a resting palm doesn't join a pen stroke)
+    if (activePointerType && activePointerType !== event.pointerType) {
       return;
     }
     
-    // Check if tap navigation is enabled
-    if (!settings.tapNavigationEnabled) {
+    activePointerType = event.pointerType;
+    activePointers.set(event.pointerId, {
+      identifier: event.pointerId,
+      clientX: event.clientX,
+      clientY: event.clientY
+    });
+    preventNativeTouch = false;
+    onTouchStart(toGestureEvent(event));
+  }
+  
+  // Pointer moved (only pointers that are down)
+  function onPointerMove(event) {
+    const pointer = activePointers.get(event.pointerId);
+    if (!pointer) {
       return;
     }
     
-    // Prevent tap navigation if a scroll is already in progress (FIX-002)
-    // This prevents double-tap from cancelling the smooth scroll
-    if (isTapScrollInProgress) {
+    pointer.clientX = event.clientX;
+    pointer.clientY = event.clientY;
+    onTouchMove(toGestureEvent(event));
+  }
+  
+  // Pointer released - the gesture ends when the last pointer lifts
+  function onPointerUp(event) {
+    if (!activePointers.has(event.pointerId)) {
       return;
     }
     
-    // Check if tap target is an interactive element
-    if (isInteractiveElement(touchStartTarget)) {
+    activePointers.delete(event.pointerId);
+    if (activePointers.size === 0) {
+      activePointerType = null;
+    }
+    
+    preventNativeTouch = false;
+    onTouchEnd(toGestureEvent(event));
+  }
+  
+  // Browser took the pointer over (native scroll/zoom) - the whole gesture is cancelled
+  function onPointerCancel(event) {
+    if (!activePointers.has(event.pointerId)) {
       return;
     }
     
-    // Determine scroll direction based on tap zone layout and size
-    const upZonePercentage = settings.tapZoneUpPercentage / 100;
-    let shouldScrollDown = false;
+    activePointers.clear();
+    activePointerType = null;
+    onTouchCancel(toGestureEvent(event));
+  }
+  
+  // Touch events follow their pointer events - cancel them when a gesture handler asked to
+  // (this is what keeps the page from scrolling/zooming natively)
+  function onNativeTouchEvent(event) {
+    if (preventNativeTouch && event.cancelable) {
+      event.preventDefault();
+    }
+    preventNativeTouch = false;
+  }
+  
+  // Pen input (and touch screens without touch events) never gets touchmove to cancel,
+  // so while autoscroll is active native panning is switched off with touch-action instead
+  // (set on the scroll target too - touch-action only reaches up to the nearest scroll container)
+  function setNativePanBlocked(blocked) {
+    if (panBlockedElement) {
+      panBlockedElement.classList.remove('gesture-autoscroller-no-pan');
+      panBlockedElement = null;
+    }
     
-    if (settings.tapZoneLayout === 'horizontal') {
-      // Horizontal layout: left = up, right = down
-      const screenWidth = window.innerWidth;
-      const upZoneWidth = screenWidth * upZonePercentage;
-      const tapX = touchStartX;
-      shouldScrollDown = (tapX >= upZoneWidth);
-    } else {
-      // Vertical layout: top = up, bottom = down
-      const screenHeight = window.innerHeight;
-      const upZoneHeight = screenHeight * upZonePercentage;
-      const tapY = touchStartY;
-      shouldScrollDown = (tapY >= upZoneHeight);
+    if (!blocked) {
+      return;
     }
     
-    if (shouldScrollDown) {
-      // Scroll down
-      pageDown();
-    } else {
-      // Scroll up
-      pageUp();
+    const target = getScrollTarget();
+    panBlockedElement = isDocumentScroller(target) ? document.body : target;
+    if (panBlockedElement) {
+      panBlockedElement.classList.add('gesture-autoscroller-no-pan');
     }
   }
   
-  // Check if element is interactive (link, button, input, etc.)
-  function isInteractiveElement(element) {
-    if (!element) return false;
+  // Setup touch event listeners
+  function setupTouchListeners() {
+    window.addEventListener('pointerdown', onPointerDown, { passive: true });
+    window.addEventListener('pointermove', onPointerMove, { passive: true });
+    window.addEventListener('pointerup', onPointerUp, { passive: true });
+    window.addEventListener('pointercancel', onPointerCancel, { passive: true });
     
-    // Check element itself and its parents (up to 5 levels)
-    let currentElement = element;
-    let depth = 0;
-    const maxDepth = 5;
+    // Use passive:false so handlers can stop native scrolling (autoscroll active, tap scroll lock, gestures)
+    window.addEventListener('touchmove', onNativeTouchEvent, { passive: false });
+    window.addEventListener('touchend', onNativeTouchEvent, { passive: false });
     
-    while (currentElement && depth < maxDepth) {
-      const tagName = currentElement.tagName ? currentElement.tagName.toLowerCase() : '';
-      
-      // Interactive tags
-      if (['a', 'button', 'input', 'textarea', 'select', 'label'].includes(tagName)) {
-        return true;
-      }
-      
-      // Elements with click handlers
-      if (currentElement.onclick) {
-        return true;
-      }
-      
-      // Elements with role="button" or similar
-      const role = currentElement.getAttribute('role');
-      if (role && ['button', 'link', 'tab', 'menuitem', 'option'].includes(role)) {
-        return true;
-      }
-      
-      // Elements with cursor: pointer (common for clickable elements)
-      const computedStyle = window.getComputedStyle(currentElement);
-      if (computedStyle.cursor === 'pointer') {
-        return true;
-      }
-      
-      currentElement = currentElement.parentElement;
-      depth++;
-    }
+    // Add scroll listener for desktop activation
+    window.addEventListener('wheel', onWheelScroll, { passive: false });
     
-    return false;
+    window.addEventListener('contextmenu', onLongPressContextMenu, true);
   }
   
-  // Custom smooth scroll animation using easing function
-  function animateTapScroll(timestamp) {
-    if (!tapScrollStartTime) {
-      tapScrollStartTime = timestamp;
-    }
-    
-    const elapsed = timestamp - tapScrollStartTime;
-    const progress = Math.min(elapsed / TAP_SCROLL_DURATION, 1);
-    
-    // Ease-out cubic easing for smooth deceleration
-    const eased = 1 - Math.pow(1 - progress, 3);
-    
-    // Calculate current position
-    const currentPosition = tapScrollStartPosition + (tapScrollTargetPosition - tapScrollStartPosition) * eased;
-    
-    // Set scroll position (using instant scroll)
-    window.scrollTo({
-      top: currentPosition,
-      left: 0,
-      behavior: 'auto'
-    });
-    
-    // Continue animation if not complete
-    if (progress < 1) {
-      tapScrollAnimationId = requestAnimationFrame(animateTapScroll);
-    } else {
-      // Animation complete - release lock
-      isTapScrollInProgress = false;
-      tapScrollAnimationId = null;
-      tapScrollStartTime = 0;
+  // Cleanup function
+  function removeTouchListeners() {
+    window.removeEventListener('pointerdown', onPointerDown);
+    window.removeEventListener('pointermove', onPointerMove);
+    window.removeEventListener('pointerup', onPointerUp);
+    window.removeEventListener('pointercancel', onPointerCancel);
+    window.removeEventListener('touchmove', onNativeTouchEvent);
+    window.removeEventListener('touchend', onNativeTouchEvent);
+    window.removeEventListener('wheel', onWheelScroll);
+    window.removeEventListener('contextmenu', onLongPressContextMenu, true);
+    
+    // Drop any gesture in progress
+    if (activePointers.size > 0) {
+      activePointers.clear();
+      activePointerType = null;
+      onTouchCancel();
     }
+    preventNativeTouch = false;
+    cancelLongPress();
+    cancelPendingTap();
   }
   
-  // Start a tap scroll animation
-  function startTapScroll(direction) {
-    // Prevent tap if a scroll is already in progress
-    if (isTapScrollInProgress) {
+  // ============================================================================
+  // DESKTOP SCROLL ACTIVATION
+  // ============================================================================
+  
+  // Handle wheel scroll for desktop activation
+  function onWheelScroll(event) {
+    // Wheel activation is a mouse gesture
+    if (!settings.mouseGesturesEnabled) {
       return;
     }
     
-    // Cancel any existing animation
-    if (tapScrollAnimationId) {
-      cancelAnimationFrame(tapScrollAnimationId);
-      tapScrollAnimationId = null;
+    // Require extension to be active
+    if (!isExtensionActive) {
+      return;
     }
     
-    // Mark scroll as in progress
-    isTapScrollInProgress = true;
-    
-    // Calculate scroll distance using configurable percentage
-    const viewportHeight = window.innerHeight;
-    const scrollPercentage = settings.tapScrollPercentage / 100;
-    const scrollDistance = Math.floor(viewportHeight * scrollPercentage);
-    
-    const currentScroll = window.pageYOffset || document.documentElement.scrollTop;
-    const scrollAmount = direction === 'down' ? scrollDistance : -scrollDistance;
-    
-    tapScrollStartPosition = currentScroll;
-    tapScrollTargetPosition = currentScroll + scrollAmount;
-    tapScrollStartTime = 0;
+    // If autoscroll is already active, let it handle things
+    if (autoscroller && autoscroller.isActive()) {
+      return;
+    }
     
-    // Clamp target to document bounds
-    const maxScroll = document.documentElement.scrollHeight - document.documentElement.clientHeight;
-    tapScrollTargetPosition = Math.max(0, Math.min(tapScrollTargetPosition, maxScroll));
+    // Check if autoscroll is enabled
+    if (!settings.autoscrollEnabled) {
+      return;
+    }
     
-    // Start animation
-    tapScrollAnimationId = requestAnimationFrame(animateTapScroll);
+    // Check if user is scrolling down (positive deltaY)
+    if (event.deltaY > 0) {
+      // Prevent default scroll behavior
+      event.preventDefault();
+      
+      // Activate autoscroll
+      activateAutoscroll();
+      
+      // Reset last scroll time
+      lastScrollTime = Date.now();
+    }
   }
   
-  // Page down (scroll down one viewport height)
-  function pageDown() {
-    startTapScroll('down');
+  // ============================================================================
+  // SCROLL TARGET DETECTION
+  // ============================================================================
+  
+  // Get the element that scrolls the document itself
+  function getDocumentScroller() {
+    return document.scrollingElement || document.documentElement;
   }
   
-  // Page up (scroll up one viewport height)
-  function pageUp() {
-    startTapScroll('up');
+  // Check if target is the document (scrolled through the window)
+  function isDocumentScroller(target) {
+    return !target ||
+      target === getDocumentScroller() ||
+      target === document.documentElement ||
+      target === document.body;
   }
   
-  // ============================================================================
-  // SWIPE DETECTION & AUTOSCROLL
-  // ============================================================================
+  // Get configured scroll axis ('vertical' or 'horizontal')
+  function getScrollAxis() {
+    return settings.scrollAxis === 'horizontal' ? 'horizontal' : 'vertical';
+  }
   
-  // Handle continuous gesture detection (direction changes within single touch)
-  function handleContinuousGesture(currentDirection) {
-    // Check if autoscroll is active
-    if (autoscroller && autoscroller.isActive()) {
-      // Autoscroll is active - handle speed adjustment or deactivation
-      const state = autoscroller.getState();
-      
-      if (currentDirection === 'up' || currentDirection === 'down') {
-        // Speed adjustment handled in onTouchMove continuously
-        return;
-      } else if (currentDirection === 'left' || currentDirection === 'right') {
-        // Side swipe = deactivate (works from both SCROLLING and PAUSED states)
-        autoscroller.stop();
-        showToast('Autoscroll stopped');
-      }
+  // Get the coordinate of a point along the scroll axis
+  function getAxisCoordinate(x, y) {
+    return getScrollAxis() === 'horizontal' ? x : y;
+  }
+  
+  // Map a physical swipe direction to its vertical-axis equivalent
+  // In horizontal mode: left = 'up' (forward/faster), right = 'down', up/down = side swipes
+  function toAxisDirection(direction) {
+    if (getScrollAxis() !== 'horizontal') {
+      return direction;
     }
-    // Note: Activation now uses two-finger tap instead of down→left gesture
+    
+    const horizontalMapping = {
+      left: 'up',
+      right: 'down',
+      up: 'left',
+      down: 'right'
+    };
+    return horizontalMapping[direction] || direction;
   }
   
-  // Handle continuous speed adjustment during active touch
-  // This allows speed to keep changing while user maintains swipe motion
-  // Speed adjustment is based on distance traveled, not time
-  function handleDistanceBasedSpeedAdjustment(direction) {
-    // Calculate distance traveled since last speed adjustment
-    const distanceTraveled = Math.abs(touchEndY - lastSpeedAdjustmentY);
+  // Check if an element is an overflow container with content to scroll
+  function isScrollableElement(element, axis) {
+    if (!element || !element.isConnected) {
+      return false;
+    }
     
-    // Add to accumulated distance
-    accumulatedSpeedDistance += distanceTraveled;
+    const isHorizontal = axis === 'horizontal';
     
-    // Update last adjustment position
-    lastSpeedAdjustmentY = touchEndY;
+    // Cheap layout check first, computed style only for candidates
+    const overflowAmount = isHorizontal
+      ? element.scrollWidth - element.clientWidth
+      : element.scrollHeight - element.clientHeight;
+    if (overflowAmount <= SCROLLABLE_MIN_OVERFLOW) {
+      return false;
+    }
     
-    // Check if we've traveled enough distance to trigger adjustments
-    if (accumulatedSpeedDistance >= SPEED_ADJUSTMENT_DISTANCE) {
-      // Calculate how many adjustments to make based on distance
-      const numAdjustments = Math.floor(accumulatedSpeedDistance / SPEED_ADJUSTMENT_DISTANCE);
-      
-      // Reset accumulated distance (keep remainder)
-      accumulatedSpeedDistance = accumulatedSpeedDistance % SPEED_ADJUSTMENT_DISTANCE;
-      
-      // Apply multiple speed adjustments
-      for (let i = 0; i < numAdjustments; i++) {
-        if (direction === 'up') {
-          autoscroller.increaseSpeed();
-        } else if (direction === 'down') {
-          autoscroller.decreaseSpeed();
-        }
-      }
-      
-      // Show toast with current speed (only once per batch of adjustments)
-      showToast(`Speed: ${Math.round(autoscroller.getCurrentSpeed())} px/sec`, 600);
+    const computedStyle = window.getComputedStyle(element);
+    const overflow = isHorizontal ? computedStyle.overflowX : computedStyle.overflowY;
+    return overflow === 'auto' || overflow === 'scroll' || overflow === 'overlay';
+  }
+  
+  // Get the visible area of an element within the viewport
+  function getVisibleArea(element) {
+    const rect = element.getBoundingClientRect();
+    const visibleWidth = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+    const visibleHeight = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+    
+    if (visibleWidth <= 0 || visibleHeight <= 0) {
+      return 0;
     }
+    return visibleWidth * visibleHeight;
   }
   
-  // Handle swipe gesture (called on touchend)
-  function handleSwipe(deltaX, deltaY, absX, absY) {
-    // Determine final swipe direction
-    let direction = null;
-    if (absY > absX) {
-      direction = deltaY > 0 ? 'down' : 'up';
-    } else {
-      direction = deltaX > 0 ? 'right' : 'left';
+  // Find the largest visible overflow container on the page
+  function findLargestScrollableContainer(axis) {
+    if (!document.body) {
+      return null;
     }
     
-    // Check if auto-navigate countdown is active - cancel on any swipe
-    if (autoNavigateCountdownInterval) {
-      cancelAutoNavigateCountdown();
-      showToast('Auto-navigate cancelled', 2000);
-      return;
-    }
+    const minArea = window.innerWidth * window.innerHeight * CONTAINER_MIN_VISIBLE_RATIO;
+    let bestElement = null;
+    let bestArea = minArea;
     
-    // If continuous gesture tracking was active, most logic already handled
-    // Otherwise handle as discrete swipe (backward compatibility)
-    if (!isTrackingContinuousGesture) {
-      if (autoscroller && autoscroller.isActive()) {
-        handleAutoscrollSwipe(direction);
+    for (const element of document.body.querySelectorAll('*')) {
+      if (!isScrollableElement(element, axis)) {
+        continue;
+      }
+      
+      const area = getVisibleArea(element);
+      if (area > bestArea) {
+        bestArea = area;
+        bestElement = element;
       }
     }
+    
+    return bestElement;
   }
   
-  // Handle swipes when autoscroll is active (for discrete swipes - backward compatibility)
-  function handleAutoscrollSwipe(direction) {
-    const state = autoscroller.getState();
+  // Resolve the element autoscroll and tap navigation should drive
+  // Order: per-domain selector, cached target, scrolling document, largest container
+  function getScrollTarget() {
+    const axis = getScrollAxis();
     
-    if (direction === 'up') {
-      // Increase speed (already handled continuously, but keep for discrete swipes)
-      if (!isTrackingContinuousGesture) {
-        autoscroller.increaseSpeed();
-        showToast(`Speed: ${Math.round(autoscroller.getCurrentSpeed())} px/sec`);
-      }
-    } else if (direction === 'down') {
-      // Decrease speed
-      if (!isTrackingContinuousGesture) {
-        autoscroller.decreaseSpeed();
-        showToast(`Speed: ${Math.round(autoscroller.getCurrentSpeed())} px/sec`);
+    // Per-domain override
+    if (settings.scrollContainerSelector) {
+      try {
+        const element = document.querySelector(settings.scrollContainerSelector);
+        if (element) {
+          return element;
+        }
+      } catch (error) {
+        console.error('Invalid scroll container selector:', error);
       }
-    } else if (direction === 'left' || direction === 'right') {
-      // Side swipe = deactivate (works from both SCROLLING and PAUSED states)
-      if (!isTrackingContinuousGesture) {
-        autoscroller.stop();
-        showToast('Autoscroll stopped');
+    }
+    
+    // Reuse previous detection while it is still valid
+    if (cachedScrollTarget && cachedScrollAxis === axis) {
+      if (isDocumentScroller(cachedScrollTarget) || isScrollableElement(cachedScrollTarget, axis)) {
+        return cachedScrollTarget;
       }
     }
-  }
-  
-  // Note: Activation is now done via two-finger tap instead of swipe gestures
-  
-  // Activate autoscroll
-  function activateAutoscroll() {
-    // Always create a new autoscroller with current settings
-    autoscroller = new AutoScroller(settings);
+    cachedScrollTarget = null;
+    cachedScrollAxis = axis;
+    
+    // Prefer the document when it has a meaningful amount of content to scroll
+    const documentScroller = getDocumentScroller();
+    const documentOverflow = getMaxScrollPosition(documentScroller, axis);
+    if (documentOverflow > getScrollViewportSize(documentScroller, axis) * DOCUMENT_MIN_OVERFLOW_RATIO) {
+      cachedScrollTarget = documentScroller;
+      return cachedScrollTarget;
+    }
     
-    autoscroller.start();
+    // Otherwise look for the main scrollable element (chat logs, readers, doc viewers)
+    cachedScrollTarget = findLargestScrollableContainer(axis) || documentScroller;
+    return cachedScrollTarget;
   }
   
-  // ============================================================================
-  // SPEED PARSER (based on AutoScrolling extension)
-  // ============================================================================
-  
-  // Parse speed (px/sec) into interval (ms) and step (px)
-  // This allows for smooth scrolling at very low speeds
-  function parseSpeed(speed) {
-    const THOUSAND_MS = 1000;
-    const THRESHOLD_STEP = 5; // Maximum step size for smooth scrolling
-    
-    // Handle edge cases
-    if (speed <= 0) {
-      return { interval: THOUSAND_MS, step: 1 }; // Minimum speed
-    }
-    if (speed >= THOUSAND_MS * THRESHOLD_STEP) {
-      return { interval: 1, step: THRESHOLD_STEP }; // Maximum speed
+  // Get current scroll position of target along axis
+  function getScrollPosition(target, axis) {
+    if (axis === 'horizontal') {
+      if (isDocumentScroller(target)) {
+        return window.pageXOffset || document.documentElement.scrollLeft;
+      }
+      return target.scrollLeft;
     }
     
-    // Calculate GCD (Greatest Common Divisor)
-    function gcd(n, m) {
-      let r = 0;
-      while (n !== 0) {
-        r = m % n;
-        m = n;
-        n = r;
+    if (isDocumentScroller(target)) {
+      return window.pageYOffset || document.documentElement.scrollTop;
+    }
+    return target.scrollTop;
+  }
+  
+  // Set scroll position of target along axis (instant, no smooth behavior)
+  function setScrollPosition(target, position, axis) {
+    if (axis === 'horizontal') {
+      if (isDocumentScroller(target)) {
+        window.scrollTo({ top: window.pageYOffset, left: position, behavior: 'auto' });
+      } else {
+        target.scrollLeft = position;
       }
-      return m;
+      return;
     }
     
-    // Start with 1 second interval and speed as step
-    let interval = THOUSAND_MS;
-    let step = Math.round(speed);
-    
-    // Simplify the fraction using GCD
-    const divisor = gcd(interval, step);
-    interval /= divisor;
-    step /= divisor;
-    
-    // If step is small enough, we're done
-    if (step <= THRESHOLD_STEP) {
-      return { interval, step };
+    if (isDocumentScroller(target)) {
+      window.scrollTo({ top: position, left: 0, behavior: 'auto' });
+    } else {
+      target.scrollTop = position;
     }
-    
-    // Otherwise, try speed - 1 (recursive approach for smooth scrolling)
-    return parseSpeed(speed - 1);
   }
   
-  // ============================================================================
-  // WAKE LOCK (SCREEN KEEP AWAKE)
-  // ============================================================================
-  
-  // Enable wake lock to prevent screen from sleeping during autoscroll
-  async function enableWakeLock() {
-    try {
-      // Check if Wake Lock API is available
-      if ('wakeLock' in navigator) {
-        wakeLock = await navigator.wakeLock.request('screen');
-        
-        // Re-acquire lock if it gets released (e.g., tab visibility change)
-        wakeLock.addEventListener('release', () => {
-        });
-      }
-    } catch (err) {
-      console.error(`Wake Lock error: ${err.name}, ${err.message}`);
+  // Get maximum scroll position of target along axis
+  function getMaxScrollPosition(target, axis) {
+    const element = isDocumentScroller(target) ? document.documentElement : target;
+    if (axis === 'horizontal') {
+      return element.scrollWidth - element.clientWidth;
     }
+    return element.scrollHeight - element.clientHeight;
   }
   
-  // Disable wake lock
-  async function disableWakeLock() {
-    if (wakeLock !== null) {
-      try {
-        await wakeLock.release();
-        wakeLock = null;
-      } catch (err) {
-        console.error('Failed to release wake lock:', err);
-      }
+  // Get visible size of target along axis (used for page-sized jumps)
+  function getScrollViewportSize(target, axis) {
+    if (axis === 'horizontal') {
+      return isDocumentScroller(target) ? window.innerWidth : target.clientWidth;
     }
+    return isDocumentScroller(target) ? window.innerHeight : target.clientHeight;
   }
   
   // ============================================================================
-  // AUTO-NAVIGATE FEATURE
+  // GESTURE BINDINGS (gesture -> named action)
   // ============================================================================
   
-  // Auto-navigate state
-  let autoNavigateCountdownTimer = null;
-  let autoNavigateCountdownInterval = null;
-  let autoNavigateRemainingSeconds = 0;
-  let autoNavigateCancelled = false;
+  // Actions that work on sites where the extension is not active
+  const INACTIVE_SITE_ACTIONS = ['toggleSite', 'picker'];
   
-  // Handle reaching bottom of page
-  function handleReachedBottom() {
-    // Check if auto-navigate is enabled for this domain
-    if (!settings.autoNavigateEnabled) {
-      showToast('Reached end of page', 2000);
-      return;
+  // Keyboard shortcuts (manifest "commands", routed by background.js) -> action
+  const COMMAND_ACTIONS = {
+    'toggle-autoscroll': 'toggleAutoscroll',
+    'pause-resume': 'pauseResume',
+    'faster': 'faster',
+    'slower': 'slower',
+    'page-down': 'pageDown',
+    'page-up': 'pageUp',
+    'toggle-site': 'toggleSite'
+  };
+  
+  // Get the binding context for the current autoscroll state
+  function getGestureContext() {
+    if (!autoscroller || !autoscroller.isActive()) {
+      return 'idle';
     }
-    
-    // Check if there's a configured selector for this domain
-    const siteConfig = settings.navigationSelector;
-    
-    if (!siteConfig || !siteConfig.enabled) {
-      showToast('Reached end of page', 2000);
-      return;
+    return autoscroller.getState() === 'PAUSED' ? 'paused' : 'scrolling';
+  }
+  
+  // Look up the action bound to a gesture in the current context
+  // Gestures missing from the stored bindings (older configs) fall back to the defaults
+  function getGestureAction(gesture) {
+    const context = getGestureContext();
+    const bindings = settings.gestureBindings && settings.gestureBindings[context];
+    
+    if (bindings && bindings[gesture]) {
+      return bindings[gesture];
     }
-    
-    // Start countdown to auto-navigate
-    startAutoNavigateCountdown(siteConfig);
+    return DEFAULT_GESTURE_BINDINGS[context][gesture] || 'none';
   }
   
-  // Start countdown before clicking next button
-  function startAutoNavigateCountdown(siteConfig) {
-    // Cancel any existing countdown
-    cancelAutoNavigateCountdown();
-    
-    // Get delay from site config or global setting
-    const delay = siteConfig.delay || settings.autoNavigateDelay;
-    autoNavigateRemainingSeconds = delay;
-    autoNavigateCancelled = false;
-    
-    // Show initial countdown toast
-    showAutoNavigateCountdown(autoNavigateRemainingSeconds);
-    
-    // Update countdown every second
-    autoNavigateCountdownInterval = setInterval(() => {
-      autoNavigateRemainingSeconds--;
-      
-      if (autoNavigateRemainingSeconds <= 0) {
-        // Time's up - navigate to next page
-        clearInterval(autoNavigateCountdownInterval);
-        autoNavigateCountdownInterval = null;
-        navigateToNextPage(siteConfig);
-      } else {
-        // Update countdown display
-        showAutoNavigateCountdown(autoNavigateRemainingSeconds);
-      }
-    }, 1000);
+  // Check if double tap is bound to an action in any context
+  function isDoubleTapBound() {
+    return Object.keys(DEFAULT_GESTURE_BINDINGS).some(context => {
+      const bindings = settings.gestureBindings && settings.gestureBindings[context];
+      const action = (bindings && bindings.doubleTap) || DEFAULT_GESTURE_BINDINGS[context].doubleTap;
+      return action !== 'none';
+    });
   }
   
-  // Show auto-navigate countdown toast
-  function showAutoNavigateCountdown(seconds) {
-    // Show message toast at bottom center (clickable to cancel)
-    const message = `Navigating to next page... (Tap to cancel)`;
-    showToast(message, 1100); // Show for slightly longer than 1 second
-    
-    // Add cancel handler to toast
-    if (toastElement) {
-      toastElement.style.cursor = 'pointer';
-      toastElement.style.pointerEvents = 'auto';
-      toastElement.onclick = () => {
-        cancelAutoNavigateCountdown();
-        showToast('Auto-navigate cancelled', 2000);
-      };
+  // Only block double-tap-to-zoom while double tap is one of our gestures
+  function updateDoubleTapClass() {
+    if (document.body) {
+      document.body.classList.toggle('gesture-autoscroller-double-tap', isExtensionActive && isDoubleTapBound());
     }
-    
-    // Show countdown number at bottom right
-    showCountdownNotification(seconds);
   }
   
-  // Cancel auto-navigate countdown
-  function cancelAutoNavigateCountdown() {
-    if (autoNavigateCountdownInterval) {
-      clearInterval(autoNavigateCountdownInterval);
-      autoNavigateCountdownInterval = null;
+  // Run a named action (from a gesture binding)
+  function runAction(action) {
+    if (!action || action === 'none') {
+      return;
     }
-    if (autoNavigateCountdownTimer) {
-      clearTimeout(autoNavigateCountdownTimer);
-      autoNavigateCountdownTimer = null;
+    
+    // Everything except site toggling and the picker requires the extension to be active
+    if (!isExtensionActive && !INACTIVE_SITE_ACTIONS.includes(action)) {
+      return;
     }
-    autoNavigateCancelled = true;
     
-    // Hide countdown notification
-    hideCountdownNotification();
+    const isActive = autoscroller && autoscroller.isActive();
     
-    // Reset toast click handler
-    if (toastElement) {
-      toastElement.style.cursor = 'default';
-      toastElement.style.pointerEvents = 'none';
-      toastElement.onclick = null;
+    switch (action) {
+      case 'start':
+        if (!isActive) {
+          if (settings.autoscrollEnabled) {
+            activateAutoscroll();
+          }
+        } else if (autoscroller.getState() === 'PAUSED') {
+          autoscroller.resume();
+          showToast(getResumedToastMessage());
+        }
+        break;
+        
+      case 'pause':
+        if (isActive && autoscroller.getState() === 'SCROLLING') {
+          autoscroller.pause();
+          showToast(getPausedToastMessage());
+        }
+        break;
+        
+      case 'resume':
+        if (isActive && autoscroller.getState() === 'PAUSED') {
+          autoscroller.resume();
+          showToast(getResumedToastMessage());
+        }
+        break;
+        
+      case 'holdPause':
+        // Resumed by endLongPress() when the finger lifts
+        if (isActive && autoscroller.getState() === 'SCROLLING') {
+          autoscroller.pause();
+          isHoldPaused = true;
+          showToast('Paused - release to resume');
+        }
+        break;
+        
+      case 'pauseResume':
+        if (isActive) {
+          autoscroller.toggle();
+          showToast(autoscroller.getState() === 'PAUSED' ? getPausedToastMessage() : getResumedToastMessage());
+        }
+        break;
+        
+      case 'stop':
+        if (isActive) {
+          autoscroller.stop();
+          showToast('Autoscroll stopped');
+        }
+        break;
+        
+      case 'faster':
+        if (isActive) {
+          autoscroller.increaseSpeed();
+          showToast(`Speed: ${autoscroller.getSpeedLabel()}`);
+        }
+        break;
+        
+      case 'slower':
+        if (isActive) {
+          autoscroller.decreaseSpeed();
+          showToast(`Speed: ${autoscroller.getSpeedLabel()}`);
+        }
+        break;
+        
+      case 'toggleDirection':
+        if (!isActive) {
+          break;
+        }
+        // Speech can't run backwards - read aloud only goes forward
+        if (autoscroller.isReadAloudMode()) {
+          showToast('Read aloud only goes forward');
+          break;
+        }
+        autoscroller.toggleDirection();
+        showToast(`Scrolling ${autoscroller.getDirectionLabel()}`);
+        break;
+        
+      case 'toggleAutoscroll':
+        if (isActive) {
+          autoscroller.stop();
+          showToast('Autoscroll stopped');
+        } else if (settings.autoscrollEnabled) {
+          activateAutoscroll();
+        }
+        break;
+        
+      case 'pageUp':
+        turnPage('up');
+        break;
+        
+      case 'pageDown':
+        turnPage('down');
+        break;
+        
+      case 'jumpTop':
+        jumpToEdge('start');
+        break;
+        
+      case 'jumpBottom':
+        jumpToEdge('end');
+        break;
+        
+      case 'nextChapter':
+        goToNextChapter();
+        break;
+        
+      case 'previousChapter':
+        goToPreviousChapter();
+        break;
+        
+      case 'tapZones':
+        handleTapZones();
+        break;
+        
+      case 'picker':
+        if (isExtensionActive) {
+          // Don't show toast - the picker has its own UI banner with instructions
+          activateElementPicker();
+        } else {
+          showToast('Add this site to whitelist first', 3000);
+        }
+        break;
+        
+      case 'toggleSite':
+        toggleExtensionForCurrentSite();
+        break;
+        
+      default:
+        console.warn('Unknown gesture action:', action);
     }
   }
   
-  // Navigate to next page
-  function navigateToNextPage(siteConfig) {
-    try {
-      // Hide countdown notification
-      hideCountdownNotification();
-      
-      // Find the next button using the configured selector
-      const nextButton = document.querySelector(siteConfig.selector);
-      
-      if (!nextButton) {
-        showToast('Next button not found', 2000);
+  // ============================================================================
+  // TAP NAVIGATION LOGIC
+  // ============================================================================
+  
+  // Handle tap event
+  function handleTap(event) {
+    // Pointers down at once (a mouse click is always a one-finger tap)
+    const fingers = fingerCount;
+    if (fingers < 1 || fingers > 4) {
+      return;
+    }
+    
+    if (fingers === 1 && isExtensionActive) {
+      // Taps on a tappable toast (e.g. sleep timer warning) are handled by its click handler
+      if (toastElement && toastElement.style.pointerEvents === 'auto' &&
+          toastElement.contains(touchStartTarget)) {
         return;
       }
       
-      // Check if it's visible
-      if (nextButton.offsetParent === null) {
-        showToast('Next button not visible', 2000);
+      // Check if auto-navigate countdown is active
+      if (autoNavigateCountdownInterval) {
+        cancelAutoNavigateCountdown();
+        showToast('Auto-navigate cancelled', 2000);
         return;
       }
+    }
+    
+    const point = { x: touchStartX, y: touchStartY, target: touchStartTarget };
+    
+    // Double tap bound: hold back single taps until the double tap window has passed
+    if (fingers === 1 && isGestureBound('doubleTap')) {
+      const isSecondTap = pendingTapTimer &&
+        Math.abs(point.x - pendingTapPoint.x) < DOUBLE_TAP_MAX_DISTANCE &&
+        Math.abs(point.y - pendingTapPoint.y) < DOUBLE_TAP_MAX_DISTANCE;
       
-      showToast('Navigating to next page...', 1000);
+      if (isSecondTap) {
+        cancelPendingTap();
+        tapPoint = point;
+        runAction(getGestureAction('doubleTap'));
+        return;
+      }
       
-      // Click the next button
-      nextButton.click();
+      // A tap somewhere else doesn't pair up - run the earlier one now
+      flushPendingTap();
       
-      // If auto-start is enabled, start autoscroll after page loads
-      if (siteConfig.autoStart || settings.autoNavigateAutoStart) {
-        // Wait for page to load, then start autoscroll
-        setTimeout(() => {
-          if (autoscroller && !autoscroller.isActive()) {
-            autoscroller.start();
-            showToast('Auto-scrolling...', 2000);
-          }
-        }, 1000);
-      }
-    } catch (error) {
-      console.error('Failed to navigate to next page:', error);
-      showToast('Failed to navigate', 2000);
+      pendingTapPoint = { ...point, action: getGestureAction('tap1') };
+      pendingTapTimer = setTimeout(() => {
+        pendingTapTimer = null;
+        tapPoint = point;
+        runAction(pendingTapPoint.action);
+      }, settings.doubleTapWindow);
+      return;
     }
+    
+    tapPoint = point;
+    runAction(getGestureAction(`tap${fingers}`));
   }
   
-  // ============================================================================
-  // AUTOSCROLLER CLASS
-  // ============================================================================
+  // Check if a gesture has a runnable action in the current context
+  function isGestureBound(gesture) {
+    const action = getGestureAction(gesture);
+    return action !== 'none' && (isExtensionActive || INACTIVE_SITE_ACTIONS.includes(action));
+  }
   
-  class AutoScroller {
-    constructor(config) {
-      // Store reference to settings object (will be updated dynamically)
-      this.config = config;
-      this.state = 'INACTIVE'; // INACTIVE, SCROLLING, PAUSED
-      this.currentSpeed = config.defaultSpeed;
-      this.animationFrameId = null;
-      this.lastScrollTime = 0;
-      this.targetScrollPosition = 0; // Target scroll position for smooth scrolling
-      this.maxScrollTop = 0; // Cached max scroll position
-      this.lastMaxScrollCheck = 0; // Last time we refreshed maxScrollTop
-      
-      // Bind scroll method once to avoid creating new functions every frame
-      this.scroll = this.scroll.bind(this);
+  // Run a held-back single tap immediately
+  function flushPendingTap() {
+    if (!pendingTapTimer) {
+      return;
     }
     
-    // Update config (for when settings change)
-    updateConfig(newConfig) {
-      this.config = newConfig;
+    clearTimeout(pendingTapTimer);
+    pendingTapTimer = null;
+    // Same action the timer would have run, even if the context changed since the tap
+    tapPoint = pendingTapPoint;
+    runAction(pendingTapPoint.action);
+  }
+  
+  // Drop a held-back single tap
+  function cancelPendingTap() {
+    if (pendingTapTimer) {
+      clearTimeout(pendingTapTimer);
+      pendingTapTimer = null;
+    }
+  }
+  
+  // Page up/down depending on which tap zone was tapped
+  function handleTapZones() {
+    // Check if tap navigation is enabled
+    if (!settings.tapNavigationEnabled) {
+      return;
     }
     
-    // Check if autoscroller is active (either scrolling or paused)
-    isActive() {
-      return this.state !== 'INACTIVE';
+    // Prevent tap navigation if a scroll is already in progress (FIX-002)
+    // This prevents double-tap from cancelling the smooth scroll
+    if (isTapScrollInProgress) {
+      return;
     }
     
-    // Get current state
-    getState() {
-      return this.state;
+    // Check if tap target is an interactive element
+    if (isInteractiveElement(tapPoint.target)) {
+      return;
     }
     
-    // Get current speed (in px/sec)
-    getCurrentSpeed() {
-      return this.currentSpeed;
+    // Determine scroll direction based on tap zone layout and size
+    const upZonePercentage = settings.tapZoneUpPercentage / 100;
+    let shouldScrollDown = false;
+    
+    if (settings.tapZoneLayout === 'horizontal') {
+      // Horizontal layout: left = up, right = down
+      const screenWidth = window.innerWidth;
+      const upZoneWidth = screenWidth * upZonePercentage;
+      const tapX = tapPoint.x;
+      shouldScrollDown = (tapX >= upZoneWidth);
+    } else {
+      // Vertical layout: top = up, bottom = down
+      const screenHeight = window.innerHeight;
+      const upZoneHeight = screenHeight * upZonePercentage;
+      const tapY = tapPoint.y;
+      shouldScrollDown = (tapY >= upZoneHeight);
     }
     
-    // Start autoscrolling
-    start() {
-      if (this.state === 'INACTIVE') {
-        this.state = 'SCROLLING';
-        this.currentSpeed = this.config.defaultSpeed;
-        this.startScrolling();
-        // Acquire wake lock to keep screen active
-        enableWakeLock();
+    turnPage(shouldScrollDown ? 'down' : 'up');
+  }
+  
+  // Check if element is interactive (link, button, input, etc.)
+  function isInteractiveElement(element) {
+    if (!element) return false;
+    
+    // Check element itself and its parents (up to 5 levels)
+    let currentElement = element;
+    let depth = 0;
+    const maxDepth = 5;
+    
+    while (currentElement && depth < maxDepth) {
+      const tagName = currentElement.tagName ? currentElement.tagName.toLowerCase() : '';
+      
+      // Interactive tags
+      if (['a', 'button', 'input', 'textarea', 'select', 'label'].includes(tagName)) {
+        return true;
+      }
+      
+      // Elements with click handlers
+      if (currentElement.onclick) {
+        return true;
+      }
+      
+      // Elements with role="button" or similar
+      const role = currentElement.getAttribute('role');
+      if (role && ['button', 'link', 'tab', 'menuitem', 'option'].includes(role)) {
+        return true;
+      }
+      
+      // Elements with cursor: pointer (common for clickable elements)
+      const computedStyle = window.getComputedStyle(currentElement);
+      if (computedStyle.cursor === 'pointer') {
+        return true;
+      }
+      
+      currentElement = currentElement.parentElement;
+      depth++;
+    }
+    
+    return false;
+  }
+  
+  // Custom smooth scroll animation using easing function
+  function animateTapScroll(timestamp) {
+    if (!tapScrollStartTime) {
+      tapScrollStartTime = timestamp;
+    }
+    
+    const elapsed = timestamp - tapScrollStartTime;
+    const progress = Math.min(elapsed / TAP_SCROLL_DURATION, 1);
+    
+    // Ease-out cubic easing for smooth deceleration
+    const eased = 1 - Math.pow(1 - progress, 3);
+    
+    // Calculate current position
+    const currentPosition = tapScrollStartPosition + (tapScrollTargetPosition - tapScrollStartPosition) * eased;
+    
+    // Set scroll position (using instant scroll)
+    setScrollPosition(tapScrollTarget, currentPosition, tapScrollAxis);
+    
+    // Continue animation if not complete
+    if (progress < 1) {
+      tapScrollAnimationId = requestAnimationFrame(animateTapScroll);
+    } else {
+      // Animation complete - release lock
+      isTapScrollInProgress = false;
+      tapScrollAnimationId = null;
+      tapScrollStartTime = 0;
+      tapScrollTarget = null;
+    }
+  }
+  
+  // Start a tap scroll animation
+  function startTapScroll(direction) {
+    // Prevent tap if a scroll is already in progress
+    if (isTapScrollInProgress) {
+      return;
+    }
+    
+    // Use the same element and axis that autoscroll drives
+    const target = getScrollTarget();
+    const axis = getScrollAxis();
+    
+    // Calculate scroll distance using configurable percentage
+    const viewportSize = getScrollViewportSize(target, axis);
+    const scrollPercentage = settings.tapScrollPercentage / 100;
+    const scrollDistance = Math.floor(viewportSize * scrollPercentage);
+    
+    const currentScroll = getScrollPosition(target, axis);
+    const scrollAmount = direction === 'down' ? scrollDistance : -scrollDistance;
+    
+    smoothScrollTo(target, axis, currentScroll + scrollAmount);
+  }
+  
+  // Animate target to position along axis (replaces any running tap scroll animation)
+  function smoothScrollTo(target, axis, position) {
+    if (tapScrollAnimationId) {
+      cancelAnimationFrame(tapScrollAnimationId);
+      tapScrollAnimationId = null;
+    }
+    
+    isTapScrollInProgress = true;
+    tapScrollTarget = target;
+    tapScrollAxis = axis;
+    tapScrollStartPosition = getScrollPosition(target, axis);
+    tapScrollStartTime = 0;
+    
+    // Clamp target to scrollable bounds
+    const maxScroll = getMaxScrollPosition(target, axis);
+    tapScrollTargetPosition = Math.max(0, Math.min(position, maxScroll));
+    
+    // E-ink: jump instantly (animation frames cause ghosting)
+    if (settings.einkModeEnabled) {
+      setScrollPosition(tapScrollTarget, tapScrollTargetPosition, tapScrollAxis);
+      flashEinkScreen();
+      isTapScrollInProgress = false;
+      tapScrollTarget = null;
+      return;
+    }
+    
+    // Start animation
+    tapScrollAnimationId = requestAnimationFrame(animateTapScroll);
+  }
+  
+  // Page down (scroll forward one viewport along the scroll axis)
+  function pageDown() {
+    startTapScroll('down');
+  }
+  
+  // Page up (scroll back one viewport along the scroll axis)
+  function pageUp() {
+    startTapScroll('up');
+  }
+  
+  // Turn a page - animated normally, instant while autoscroll drives the scroll position
+  function turnPage(direction) {
+    if (!autoscroller || !autoscroller.isActive()) {
+      startTapScroll(direction);
+      return;
+    }
+    
+    const target = getScrollTarget();
+    const axis = getScrollAxis();
+    const distance = Math.floor(getScrollViewportSize(target, axis) * (settings.tapScrollPercentage / 100));
+    const position = getScrollPosition(target, axis) + (direction === 'down' ? distance : -distance);
+    
+    setScrollPosition(target, Math.max(0, Math.min(position, getMaxScrollPosition(target, axis))), axis);
+    if (settings.einkModeEnabled) {
+      flashEinkScreen();
+    }
+    
+    // Continue autoscrolling from the new position
+    autoscroller.resyncPosition();
+  }
+  
+  // Jump to the start or end of the page along the scroll axis
+  function jumpToEdge(edge) {
+    const target = getScrollTarget();
+    const axis = getScrollAxis();
+    const position = edge === 'end' ? getMaxScrollPosition(target, axis) : 0;
+    
+    if (!autoscroller || !autoscroller.isActive()) {
+      smoothScrollTo(target, axis, position);
+      return;
+    }
+    
+    setScrollPosition(target, position, axis);
+    if (settings.einkModeEnabled) {
+      flashEinkScreen();
+    }
+    autoscroller.resyncPosition();
+  }
+  
+  // ============================================================================
+  // SWIPE DETECTION & AUTOSCROLL
+  // ============================================================================
+  
+  // Handle continuous gesture detection (direction changes within single touch)
+  function handleContinuousGesture(currentDirection) {
+    // Single-finger swipes only have a meaning while autoscroll is active
+    if (!autoscroller || !autoscroller.isActive()) {
+      return;
+    }
+    
+    const action = getGestureAction(getSwipeGesture(currentDirection));
+    
+    // Speed adjustment handled in onTouchMove continuously
+    if (action === 'faster' || action === 'slower') {
+      return;
+    }
+    
+    // Other actions run once per touch, as soon as the direction is recognized
+    if (!swipeActionHandled) {
+      swipeActionHandled = true;
+      runAction(action);
+    }
+  }
+  
+  // Handle continuous speed adjustment during active touch
+  // This allows speed to keep changing while user maintains swipe motion
+  // Speed adjustment is based on distance traveled, not time
+  function handleDistanceBasedSpeedAdjustment(action) {
+    // Calculate distance traveled along the scroll axis since last speed adjustment
+    const currentPosition = getAxisCoordinate(touchEndX, touchEndY);
+    const distanceTraveled = Math.abs(currentPosition - lastSpeedAdjustmentPosition);
+    
+    // Add to accumulated distance
+    accumulatedSpeedDistance += distanceTraveled;
+    
+    // Update last adjustment position
+    lastSpeedAdjustmentPosition = currentPosition;
+    
+    // Check if we've traveled enough distance to trigger adjustments
+    if (accumulatedSpeedDistance >= settings.speedAdjustmentDistance) {
+      // Calculate how many adjustments to make based on distance
+      const numAdjustments = Math.floor(accumulatedSpeedDistance / settings.speedAdjustmentDistance);
+      
+      // Reset accumulated distance (keep remainder)
+      accumulatedSpeedDistance = accumulatedSpeedDistance % settings.speedAdjustmentDistance;
+      
+      // Apply multiple speed adjustments
+      for (let i = 0; i < numAdjustments; i++) {
+        if (action === 'faster') {
+          autoscroller.increaseSpeed();
+        } else if (action === 'slower') {
+          autoscroller.decreaseSpeed();
+        }
+      }
+      
+      // Show toast with current speed (only once per batch of adjustments)
+      showToast(`Speed: ${autoscroller.getSpeedLabel()}`, 600);
+    }
+  }
+  
+  // Handle swipe gesture (called on touchend)
+  function handleSwipe(deltaX, deltaY, absX, absY) {
+    // Determine final swipe direction
+    let direction = null;
+    if (absY > absX) {
+      direction = deltaY > 0 ? 'down' : 'up';
+    } else {
+      direction = deltaX > 0 ? 'right' : 'left';
+    }
+    
+    // Express direction relative to the scroll axis
+    direction = toAxisDirection(direction);
+    
+    // Check if auto-navigate countdown is active - cancel on any swipe
+    if (autoNavigateCountdownInterval) {
+      cancelAutoNavigateCountdown();
+      showToast('Auto-navigate cancelled', 2000);
+      return;
+    }
+    
+    // If continuous gesture tracking was active, most logic already handled
+    // Otherwise handle as discrete swipe (backward compatibility)
+    if (!isTrackingContinuousGesture) {
+      if (autoscroller && autoscroller.isActive()) {
+        handleAutoscrollSwipe(direction);
+      }
+    }
+  }
+  
+  // Handle swipes when autoscroll is active (for discrete swipes - backward compatibility)
+  function handleAutoscrollSwipe(direction) {
+    runAction(getGestureAction(getSwipeGesture(direction)));
+  }
+  
+  // Get the binding name of a swipe in an axis-relative direction ('up' -> 'swipeUp')
+  function getSwipeGesture(direction) {
+    return `swipe${direction.charAt(0).toUpperCase()}${direction.slice(1)}`;
+  }
+  
+  // Activate autoscroll
+  // sleepTimerMinutes overrides the per-domain default (e.g. from the popup)
+  // continuesChapters keeps the chapter count of an auto-navigate session (auto-start on the next page)
+  function activateAutoscroll(sleepTimerMinutes = settings.sleepTimerMinutes, continuesChapters = false) {
+    // Always create a new autoscroller with current settings
+    autoscroller = new AutoScroller(settings);
+    
+    autoscroller.start();
+    startChapterSession(continuesChapters);
+    
+    // Stop automatically after the session duration (if set)
+    startSleepTimer(sleepTimerMinutes);
+  }
+  
+  // ============================================================================
+  // SPEED PARSER (based on AutoScrolling extension)
+  // ============================================================================
+  
+  // Parse speed (px/sec) into interval (ms) and step (px)
+  // This allows for smooth scrolling at very low speeds
+  function parseSpeed(speed) {
+    const THOUSAND_MS = 1000;
+    const THRESHOLD_STEP = 5; // Maximum step size for smooth scrolling
+    
+    // Handle edge cases
+    if (speed <= 0) {
+      return { interval: THOUSAND_MS, step: 1 }; // Minimum speed
+    }
+    if (speed >= THOUSAND_MS * THRESHOLD_STEP) {
+      return { interval: 1, step: THRESHOLD_STEP }; // Maximum speed
+    }
+    
+    // Calculate GCD (Greatest Common Divisor)
+    function gcd(n, m) {
+      let r = 0;
+      while (n !== 0) {
+        r = m % n;
+        m = n;
+        n = r;
+      }
+      return m;
+    }
+    
+    // Start with 1 second interval and speed as step
+    let interval = THOUSAND_MS;
+    let step = Math.round(speed);
+    
+    // Simplify the fraction using GCD
+    const divisor = gcd(interval, step);
+    interval /= divisor;
+    step /= divisor;
+    
+    // If step is small enough, we're done
+    if (step <= THRESHOLD_STEP) {
+      return { interval, step };
+    }
+    
+    // Otherwise, try speed - 1 (recursive approach for smooth scrolling)
+    return parseSpeed(speed - 1);
+  }
+  
+  // ============================================================================
+  // E-INK DISPLAY SUPPORT
+  // ============================================================================
+  
+  const EINK_MIN_JUMP_INTERVAL = 1000; // milliseconds between autoscroll jumps (limits refreshes)
+  const EINK_FLASH_DURATION = 80; // milliseconds per flash phase (black, then white)
+  let einkFlashElement = null;
+  
+  // Get discrete jump timing for a speed: parseSpeed's interval/step scaled up
+  // so the screen refreshes at most once per EINK_MIN_JUMP_INTERVAL
+  function getEinkJumpTiming(speed) {
+    // parseSpeed needs at least 1 px/sec (slowed speeds can drop below that)
+    const { interval, step } = parseSpeed(Math.max(1, speed));
+    const factor = Math.max(1, Math.ceil(EINK_MIN_JUMP_INTERVAL / interval));
+    return { interval: interval * factor, step: step * factor };
+  }
+  
+  // Briefly flash the screen black then white to clear e-ink ghosting
+  function flashEinkScreen() {
+    if (!settings.einkFlashEnabled || !document.body || einkFlashElement) {
+      return;
+    }
+    
+    einkFlashElement = document.createElement('div');
+    einkFlashElement.id = 'gesture-autoscroll-eink-flash';
+    einkFlashElement.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      background: black;
+      z-index: 2147483646;
+      pointer-events: none;
+    `;
+    document.body.appendChild(einkFlashElement);
+    
+    setTimeout(() => {
+      if (einkFlashElement) {
+        einkFlashElement.style.background = 'white';
+      }
+    }, EINK_FLASH_DURATION);
+    
+    setTimeout(() => {
+      if (einkFlashElement) {
+        einkFlashElement.remove();
+        einkFlashElement = null;
+      }
+    }, EINK_FLASH_DURATION * 2);
+  }
+  
+  // ============================================================================
+  // WAKE LOCK (SCREEN KEEP AWAKE)
+  // ============================================================================
+  
+  // Keeps the screen on while autoscroll needs it:
+  // - the browser drops the lock whenever the tab is hidden, so it is re-requested on return
+  // - while PAUSED the lock is released after an idle timeout so the screen can sleep
+  class WakeLockManager {
+    constructor() {
+      this.lock = null; // Current WakeLockSentinel, null if not held
+      this.pending = null; // In-flight acquire, shared by overlapping calls
+      this.wanted = false; // Whether the screen should currently be kept on
+      this.idleTimeout = null; // Pending release while paused
+      this.listenersAttached = false;
+      
+      this.onVisibilityChange = this.onVisibilityChange.bind(this);
+      this.onRelease = this.onRelease.bind(this);
+    }
+    
+    // Check if the Wake Lock API is available and enabled for this site
+    isAvailable() {
+      return settings.wakeLockEnabled && 'wakeLock' in navigator;
+    }
+    
+    // Keep the screen on (autoscroll started or resumed)
+    enable() {
+      this.cancelIdleTimeout();
+      
+      if (!this.isAvailable()) {
+        return;
+      }
+      
+      this.wanted = true;
+      
+      if (!this.listenersAttached) {
+        this.listenersAttached = true;
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+      }
+      
+      this.acquire();
+    }
+    
+    // Let the screen sleep (autoscroll stopped)
+    disable() {
+      this.cancelIdleTimeout();
+      this.wanted = false;
+      
+      if (this.listenersAttached) {
+        this.listenersAttached = false;
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+      }
+      
+      this.release();
+    }
+    
+    // Autoscroll paused - keep the screen on for a while, then let it sleep
+    startIdleTimeout() {
+      this.cancelIdleTimeout();
+      
+      const minutes = settings.wakeLockIdleTimeout;
+      if (!this.wanted || !(minutes > 0)) {
+        return;
+      }
+      
+      this.idleTimeout = setTimeout(() => {
+        this.idleTimeout = null;
+        this.wanted = false;
+        this.release();
+        showToast('Paused too long - screen may sleep now', 3000);
+      }, minutes * 60 * 1000);
+    }
+    
+    // Cancel a pending idle release
+    cancelIdleTimeout() {
+      if (this.idleTimeout) {
+        clearTimeout(this.idleTimeout);
+        this.idleTimeout = null;
+      }
+    }
+    
+    // Request the lock (only possible while the page is visible)
+    // announce shows a toast once the lock is held again
+    acquire(announce = false) {
+      if (this.lock || document.hidden) {
+        return Promise.resolve();
+      }
+      
+      // Share a pending request so overlapping calls don't each get (and leak) a sentinel
+      if (!this.pending) {
+        this.pending = this.requestLock(announce).finally(() => {
+          this.pending = null;
+        });
+      }
+      
+      return this.pending;
+    }
+    
+    // Ask the browser for a screen wake lock
+    async requestLock(announce) {
+      try {
+        const lock = await navigator.wakeLock.request('screen');
+        
+        // Autoscroll may have stopped while the request was pending
+        if (!this.wanted) {
+          lock.release();
+          return;
+        }
+        
+        this.lock = lock;
+        this.lock.addEventListener('release', this.onRelease);
+        
+        if (announce) {
+          showToast('Keeping the screen on', 1500);
+        }
+      } catch (err) {
+        console.error(`Wake Lock error: ${err.name}, ${err.message}`);
+        showToast('Could not keep the screen on', 2000);
+      }
+    }
+    
+    // Release the lock if we hold it
+    async release() {
+      if (this.lock === null) {
+        return;
+      }
+      
+      const lock = this.lock;
+      this.lock = null;
+      
+      try {
+        await lock.release();
+      } catch (err) {
+        console.error('Failed to release wake lock:', err);
+      }
+    }
+    
+    // Lock was released (by us, or by the browser when the tab was hidden)
+    onRelease(event) {
+      // A stop and quick restart can deliver the old sentinel's release after the new lock is held
+      if (event.target !== this.lock) {
+        return;
+      }
+      
+      this.lock = null;
+      
+      // Dropped by the browser while the page is on screen (e.g. battery saver)
+      if (this.wanted && !document.hidden) {
+        showToast('Screen may sleep now', 2000);
+      }
+    }
+    
+    // Tab visible again - the browser dropped the lock while hidden, request it again
+    onVisibilityChange() {
+      if (!document.hidden && this.wanted) {
+        this.acquire(true);
+      }
+    }
+  }
+  
+  const wakeLockManager = new WakeLockManager();
+  
+  // ============================================================================
+  // SLEEP TIMER
+  // ============================================================================
+  
+  let sleepTimerEndTime = null; // Timestamp (Date.now()) when autoscroll stops, or null
+  let sleepTimerTimeout = null;
+  let sleepTimerWarningTimeout = null;
+  const SLEEP_TIMER_WARNING_TIME = 60 * 1000; // Warn one minute before the timer runs out
+  const SLEEP_TIMER_WARNING_DURATION = 8000; // How long the (tappable) warning toast stays up
+  
+  // Start (or restart) the sleep timer
+  function startSleepTimer(minutes) {
+    cancelSleepTimer();
+    
+    if (!(minutes > 0)) {
+      return;
+    }
+    
+    sleepTimerEndTime = Date.now() + minutes * 60 * 1000;
+    scheduleSleepTimer();
+  }
+  
+  // Add time to the running timer (or start a new one)
+  function extendSleepTimer(minutes = settings.sleepTimerExtendMinutes) {
+    const remaining = getSleepTimerRemaining() || 0;
+    startSleepTimer(remaining / 60000 + minutes);
+    showToast(`Sleep timer: ${formatSleepTimerRemaining()} left`, 2000);
+  }
+  
+  // Cancel the sleep timer
+  function cancelSleepTimer() {
+    if (sleepTimerTimeout) {
+      clearTimeout(sleepTimerTimeout);
+      sleepTimerTimeout = null;
+    }
+    if (sleepTimerWarningTimeout) {
+      clearTimeout(sleepTimerWarningTimeout);
+      sleepTimerWarningTimeout = null;
+    }
+    sleepTimerEndTime = null;
+  }
+  
+  // Schedule expiry and warning from sleepTimerEndTime
+  function scheduleSleepTimer() {
+    const remaining = getSleepTimerRemaining();
+    
+    sleepTimerTimeout = setTimeout(onSleepTimerExpired, remaining);
+    
+    if (remaining > SLEEP_TIMER_WARNING_TIME) {
+      sleepTimerWarningTimeout = setTimeout(showSleepTimerWarning, remaining - SLEEP_TIMER_WARNING_TIME);
+    }
+  }
+  
+  // Milliseconds left on the sleep timer, or null if no timer is running
+  function getSleepTimerRemaining() {
+    if (sleepTimerEndTime === null) {
+      return null;
+    }
+    return Math.max(0, sleepTimerEndTime - Date.now());
+  }
+  
+  // Format remaining time as m:ss (or h:mm:ss)
+  function formatSleepTimerRemaining() {
+    return formatDuration((getSleepTimerRemaining() || 0) / 1000);
+  }
+  
+  // Format seconds as m:ss (or h:mm:ss)
+  function formatDuration(seconds) {
+    const totalSeconds = Math.ceil(seconds);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const secs = String(totalSeconds % 60).padStart(2, '0');
+    
+    if (hours > 0) {
+      return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+    }
+    return `${minutes}:${secs}`;
+  }
+  
+  // Toast text for resuming (mentions direction when scrolling backward)
+  function getResumedToastMessage() {
+    if (!autoscroller || autoscroller.getDirection() === 'forward') {
+      return 'Resumed';
+    }
+    return `Resumed (scrolling ${autoscroller.getDirectionLabel()})`;
+  }
+  
+  // Toast text for the paused state (includes sleep timer if running)
+  function getPausedToastMessage() {
+    if (getSleepTimerRemaining() === null) {
+      return 'Paused';
+    }
+    return `Paused (sleep timer: ${formatSleepTimerRemaining()} left)`;
+  }
+  
+  // Warn shortly before the timer ends - tapping the toast extends it
+  function showSleepTimerWarning() {
+    sleepTimerWarningTimeout = null;
+    
+    const extendMinutes = settings.sleepTimerExtendMinutes;
+    showTappableToast(
+      `Stopping in 1 min (Tap to add ${extendMinutes} min)`,
+      () => extendSleepTimer(extendMinutes),
+      SLEEP_TIMER_WARNING_DURATION
+    );
+  }
+  
+  // Timer ran out - stop autoscroll and let the screen sleep
+  function onSleepTimerExpired() {
+    sleepTimerTimeout = null;
+    sleepTimerEndTime = null;
+    resetToastTap();
+    
+    if (autoscroller && autoscroller.isActive()) {
+      autoscroller.stop();
+    }
+    wakeLockManager.disable();
+    
+    showToast('Sleep timer ended - autoscroll stopped', 3000);
+  }
+  
+  // ============================================================================
+  // READING POSITION (remember and resume per URL)
+  // ============================================================================
+  
+  const READING_POSITION_SAVE_DELAY = 1500; // milliseconds after scrolling stops before saving
+  const READING_POSITION_MIN_OFFER = 0.5; // Only offer to resume if saved position is this many viewports in
+  const READING_POSITION_OFFER_DURATION = 6000; // How long the resume toast stays tappable
+  const READING_POSITION_PROBE_POINTS = [0.1, 0.2, 0.3, 0.4]; // Fractions of the viewport probed for an anchor
+  const READING_POSITION_TEXT_LENGTH = 80; // Characters of anchor text stored
+  let readingPositionSaveTimeout = null;
+  let readingPositionListenersAttached = false;
+  
+  // Storage key for the current page (hash is ignored so in-page links share a position)
+  function getReadingPositionUrl() {
+    return window.location.origin + window.location.pathname + window.location.search;
+  }
+  
+  // Check if an element is inside a fixed/sticky header, toolbar or our own UI
+  function isOverlayElement(element) {
+    for (let current = element; current && current !== document.body; current = current.parentElement) {
+      if (current.id && current.id.startsWith('gesture-autoscroll')) {
+        return true;
+      }
+      const position = window.getComputedStyle(current).position;
+      if (position === 'fixed' || position === 'sticky') {
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  // Find the element at the top of the reading area to use as an anchor
+  function findReadingAnchorElement(target, axis) {
+    const visibleRange = getVisibleAxisRange(target, axis);
+    const crossPosition = (axis === 'horizontal' ? window.innerHeight : window.innerWidth) / 2;
+    
+    for (const fraction of READING_POSITION_PROBE_POINTS) {
+      const alongPosition = visibleRange.start + (visibleRange.end - visibleRange.start) * fraction;
+      const element = axis === 'horizontal'
+        ? document.elementFromPoint(alongPosition, crossPosition)
+        : document.elementFromPoint(crossPosition, alongPosition);
+      
+      if (element && element !== document.body && element !== document.documentElement &&
+          element.textContent.trim() && !isOverlayElement(element)) {
+        return element;
+      }
+    }
+    
+    return null;
+  }
+  
+  // Capture the current reading position: element/text anchor plus pixel fallback
+  function captureReadingPosition() {
+    const target = getScrollTarget();
+    const axis = getScrollAxis();
+    const position = getScrollPosition(target, axis);
+    const maxPosition = getMaxScrollPosition(target, axis);
+    
+    const readingPosition = {
+      position: position,
+      ratio: maxPosition > 0 ? position / maxPosition : 0,
+      viewportSize: getScrollViewportSize(target, axis),
+      anchor: null
+    };
+    
+    const element = findReadingAnchorElement(target, axis);
+    if (element) {
+      const rect = element.getBoundingClientRect();
+      const visibleRange = getVisibleAxisRange(target, axis);
+      readingPosition.anchor = {
+        selector: generateSelector(element),
+        tagName: element.tagName.toLowerCase(),
+        text: element.textContent.trim().replace(/\s+/g, ' ').substring(0, READING_POSITION_TEXT_LENGTH),
+        // Distance of the element's leading edge from the top/left of the reading area
+        offset: (axis === 'horizontal' ? rect.left : rect.top) - visibleRange.start
+      };
+    }
+    
+    return readingPosition;
+  }
+  
+  // Find the anchor element again: by selector if the text still matches, else by text
+  function resolveReadingAnchor(anchor) {
+    const matchesText = element =>
+      element.textContent.trim().replace(/\s+/g, ' ').startsWith(anchor.text);
+    
+    try {
+      const element = document.querySelector(anchor.selector);
+      if (element && matchesText(element)) {
+        return element;
+      }
+    } catch (error) {
+      // Selector no longer valid - fall through to text search
+    }
+    
+    // Page structure changed (ads, comments) - look for the same text
+    for (const element of document.getElementsByTagName(anchor.tagName)) {
+      if (matchesText(element)) {
+        return element;
+      }
+    }
+    
+    return null;
+  }
+  
+  // Scroll back to a saved reading position
+  function restoreReadingPosition(readingPosition) {
+    const target = getScrollTarget();
+    const axis = getScrollAxis();
+    const currentPosition = getScrollPosition(target, axis);
+    let newPosition = null;
+    
+    const element = readingPosition.anchor ? resolveReadingAnchor(readingPosition.anchor) : null;
+    if (element) {
+      const rect = element.getBoundingClientRect();
+      const visibleRange = getVisibleAxisRange(target, axis);
+      const elementStart = (axis === 'horizontal' ? rect.left : rect.top) - visibleRange.start;
+      newPosition = currentPosition + elementStart - readingPosition.anchor.offset;
+    } else {
+      // No anchor - use the pixel offset, or the ratio if the page size changed a lot
+      const maxPosition = getMaxScrollPosition(target, axis);
+      newPosition = readingPosition.position <= maxPosition
+        ? readingPosition.position
+        : readingPosition.ratio * maxPosition;
+    }
+    
+    const maxPosition = getMaxScrollPosition(target, axis);
+    setScrollPosition(target, Math.max(0, Math.min(newPosition, maxPosition)), axis);
+    
+    // Autoscroll tracks its own target position - continue from the restored spot
+    if (autoscroller) {
+      autoscroller.resyncPosition();
+    }
+  }
+  
+  // Save the current reading position through the background script
+  async function saveReadingPosition() {
+    if (!isExtensionActive || !settings.rememberPositionEnabled) {
+      return;
+    }
+    
+    try {
+      await browser.runtime.sendMessage({
+        action: 'saveReadingPosition',
+        url: getReadingPositionUrl(),
+        readingPosition: captureReadingPosition()
+      });
+    } catch (error) {
+      console.error('Failed to save reading position:', error);
+    }
+  }
+  
+  // Save shortly after scrolling stops (autoscroll, taps or manual scrolling)
+  function scheduleReadingPositionSave() {
+    clearTimeout(readingPositionSaveTimeout);
+    readingPositionSaveTimeout = setTimeout(saveReadingPosition, READING_POSITION_SAVE_DELAY);
+  }
+  
+  // Save immediately when leaving or hiding the page
+  function onReadingPositionPageHide() {
+    if (document.visibilityState === 'hidden') {
+      clearTimeout(readingPositionSaveTimeout);
+      saveReadingPosition();
+    }
+  }
+  
+  // Start tracking the reading position on this page
+  function setupReadingPositionTracking() {
+    if (readingPositionListenersAttached) {
+      return;
+    }
+    readingPositionListenersAttached = true;
+    
+    // Capture phase catches scrolling of inner containers too (scroll doesn't bubble)
+    document.addEventListener('scroll', scheduleReadingPositionSave, { capture: true, passive: true });
+    document.addEventListener('visibilitychange', onReadingPositionPageHide);
+    window.addEventListener('pagehide', onReadingPositionPageHide);
+  }
+  
+  // Stop tracking the reading position
+  function removeReadingPositionTracking() {
+    if (!readingPositionListenersAttached) {
+      return;
+    }
+    readingPositionListenersAttached = false;
+    
+    clearTimeout(readingPositionSaveTimeout);
+    document.removeEventListener('scroll', scheduleReadingPositionSave, { capture: true });
+    document.removeEventListener('visibilitychange', onReadingPositionPageHide);
+    window.removeEventListener('pagehide', onReadingPositionPageHide);
+  }
+  
+  // Offer to jump back to the saved position for this URL
+  async function offerReadingPositionResume() {
+    if (!settings.rememberPositionEnabled) {
+      return;
+    }
+    
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'getReadingPosition',
+        url: getReadingPositionUrl()
+      });
+      
+      if (!response || !response.success || !response.readingPosition) {
+        return;
+      }
+      
+      const readingPosition = response.readingPosition;
+      const target = getScrollTarget();
+      const axis = getScrollAxis();
+      const viewportSize = getScrollViewportSize(target, axis);
+      
+      // Nothing worth resuming near the top of the page
+      if (readingPosition.position < viewportSize * READING_POSITION_MIN_OFFER) {
+        return;
+      }
+      
+      // Browser already restored the scroll position (or the user started reading)
+      if (getScrollPosition(target, axis) > viewportSize * READING_POSITION_MIN_OFFER) {
+        return;
+      }
+      
+      showTappableToast(
+        'Resume where you left off? (Tap)',
+        () => {
+          restoreReadingPosition(readingPosition);
+          showToast('Resumed reading position');
+        },
+        READING_POSITION_OFFER_DURATION
+      );
+    } catch (error) {
+      console.error('Failed to load reading position:', error);
+    }
+  }
+  
+  // ============================================================================
+  // AUTO-NAVIGATE FEATURE
+  // ============================================================================
+  
+  // Auto-navigate state
+  let autoNavigateCountdownTimer = null;
+  let autoNavigateCountdownInterval = null;
+  let autoNavigateRemainingSeconds = 0;
+  let autoNavigateCancelled = false;
+  
+  // Handle reaching top of page (reverse autoscroll)
+  function handleReachedTop() {
+    showToast('Reached top of page', 2000);
+  }
+  
+  // Handle reaching bottom of page
+  function handleReachedBottom() {
+    // Check if auto-navigate is enabled for this domain
+    if (!settings.autoNavigateEnabled) {
+      showToast('Reached end of page', 2000);
+      return;
+    }
+    
+    // Check if there's a configured selector for this domain
+    const siteConfig = settings.navigationSelector;
+    
+    if (!siteConfig || !siteConfig.enabled) {
+      showToast('Reached end of page', 2000);
+      return;
+    }
+    
+    // Start countdown to auto-navigate
+    startAutoNavigateCountdown(siteConfig);
+  }
+  
+  // Start countdown before clicking next button
+  function startAutoNavigateCountdown(siteConfig) {
+    // Cancel any existing countdown
+    cancelAutoNavigateCountdown();
+    
+    // Get delay from site config or global setting
+    const delay = siteConfig.delay || settings.autoNavigateDelay;
+    autoNavigateRemainingSeconds = delay;
+    autoNavigateCancelled = false;
+    
+    // Show initial countdown toast
+    showAutoNavigateCountdown(autoNavigateRemainingSeconds);
+    
+    // Update countdown every second
+    autoNavigateCountdownInterval = setInterval(() => {
+      autoNavigateRemainingSeconds--;
+      
+      if (autoNavigateRemainingSeconds <= 0) {
+        // Time's up - navigate to next page
+        clearInterval(autoNavigateCountdownInterval);
+        autoNavigateCountdownInterval = null;
+        navigateToNextPage(siteConfig);
+      } else {
+        // Update countdown display
+        showAutoNavigateCountdown(autoNavigateRemainingSeconds);
+      }
+    }, 1000);
+  }
+  
+  // Show auto-navigate countdown toast
+  function showAutoNavigateCountdown(seconds) {
+    // Show message toast at bottom center (clickable to cancel)
+    const message = `Navigating to next page... (Tap to cancel)`;
+    showToast(message, 1100); // Show for slightly longer than 1 second
+    
+    // Add cancel handler to toast
+    if (toastElement) {
+      toastElement.style.cursor = 'pointer';
+      toastElement.style.pointerEvents = 'auto';
+      toastElement.onclick = () => {
+        cancelAutoNavigateCountdown();
+        showToast('Auto-navigate cancelled', 2000);
+      };
+    }
+    
+    // Show countdown number at bottom right
+    showCountdownNotification(seconds);
+  }
+  
+  // Cancel auto-navigate countdown
+  function cancelAutoNavigateCountdown() {
+    if (autoNavigateCountdownInterval) {
+      clearInterval(autoNavigateCountdownInterval);
+      autoNavigateCountdownInterval = null;
+    }
+    if (autoNavigateCountdownTimer) {
+      clearTimeout(autoNavigateCountdownTimer);
+      autoNavigateCountdownTimer = null;
+    }
+    autoNavigateCancelled = true;
+    
+    // Hide countdown notification
+    hideCountdownNotification();
+    
+    // Reset toast click handler
+    if (toastElement) {
+      toastElement.style.cursor = 'default';
+      toastElement.style.pointerEvents = 'none';
+      toastElement.onclick = null;
+    }
+  }
+  
+  // Navigate to next page
+  function navigateToNextPage(siteConfig) {
+    try {
+      // Hide countdown notification
+      hideCountdownNotification();
+      
+      // Find the next button using the configured selector
+      const nextButton = document.querySelector(siteConfig.selector);
+      
+      if (!nextButton) {
+        showToast('Next button not found', 2000);
+        return;
+      }
+      
+      // Check if it's visible
+      if (nextButton.offsetParent === null) {
+        showToast('Next button not visible', 2000);
+        return;
+      }
+      
+      showToast('Navigating to next page...', 1000);
+      
+      // Count chapters read this session (shown in the progress bar)
+      incrementSessionChapterCount();
+      
+      // Click the next button
+      nextButton.click();
+      
+      // If auto-start is enabled, start autoscroll after page loads
+      if (siteConfig.autoStart || settings.autoNavigateAutoStart) {
+        // Wait for page to load, then start autoscroll
+        setTimeout(() => {
+          if (autoscroller && !autoscroller.isActive()) {
+            autoscroller.start();
+            startChapterSession(true);
+            showToast('Auto-scrolling...', 2000);
+          }
+        }, 1000);
+      }
+    } catch (error) {
+      console.error('Failed to navigate to next page:', error);
+      showToast('Failed to navigate', 2000);
+    }
+  }
+  
+  // Find the page's own next/previous link (<link rel="next"> or <a rel="next">)
+  function findRelLink(rel) {
+    const rels = rel === 'prev' ? ['prev', 'previous'] : [rel];
+    const selector = rels.map(name => `link[rel~="${name}"][href], a[rel~="${name}"][href]`).join(', ');
+    const link = document.querySelector(selector);
+    return link ? link.href : null;
+  }
+  
+  // Go to the next chapter (gesture action)
+  // Uses the picked next button for this site, otherwise the page's rel="next" link
+  function goToNextChapter() {
+    const siteConfig = settings.navigationSelector;
+    if (siteConfig && siteConfig.selector) {
+      if (autoNavigateCountdownInterval) {
+        cancelAutoNavigateCountdown();
+      }
+      navigateToNextPage(siteConfig);
+      return;
+    }
+    
+    const nextUrl = findRelLink('next');
+    if (!nextUrl) {
+      showToast('No next chapter link - pick the next button first', 3000);
+      return;
+    }
+    
+    showToast('Navigating to next page...', 1000);
+    incrementSessionChapterCount();
+    window.location.href = nextUrl;
+  }
+  
+  // Go to the previous chapter (gesture action)
+  // Uses the page's rel="prev" link, otherwise goes back in history
+  function goToPreviousChapter() {
+    if (autoNavigateCountdownInterval) {
+      cancelAutoNavigateCountdown();
+    }
+    
+    const prevUrl = findRelLink('prev');
+    if (prevUrl) {
+      showToast('Navigating to previous page...', 1000);
+      window.location.href = prevUrl;
+      return;
+    }
+    
+    showToast('Going back...', 1000);
+    history.back();
+  }
+  
+  // ============================================================================
+  // VIEWPORT TEXT SAMPLING (for words-per-minute and adaptive speed)
+  // ============================================================================
+  
+  const WORD_DENSITY_REFRESH_INTERVAL = 1000; // milliseconds between viewport samples
+  const WORD_DENSITY_SMOOTHING = 0.3; // Weight of the newest sample (0-1)
+  const CODE_DENSITY_WEIGHT = 2; // Code blocks read slower than prose
+  const ADAPTIVE_REFERENCE_SMOOTHING = 0.05; // Weight of newest sample in the page's average density
+  const ADAPTIVE_MIN_MULTIPLIER = 0.5; // Slowest adaptive speed (x baseline)
+  const ADAPTIVE_MAX_MULTIPLIER = 3; // Fastest adaptive speed (x baseline), used for blank space/images
+  const SKIPPED_SAMPLE_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS'];
+  
+  // Get the visible range of the scroll target along axis, in viewport coordinates
+  function getVisibleAxisRange(target, axis) {
+    const viewportEnd = axis === 'horizontal' ? window.innerWidth : window.innerHeight;
+    
+    if (isDocumentScroller(target)) {
+      return { start: 0, end: viewportEnd };
+    }
+    
+    const rect = target.getBoundingClientRect();
+    const start = axis === 'horizontal' ? rect.left : rect.top;
+    const end = axis === 'horizontal' ? rect.right : rect.bottom;
+    return { start: Math.max(0, start), end: Math.min(viewportEnd, end) };
+  }
+  
+  // Count words currently visible inside the scroll target
+  // Text nodes that are only partly visible are counted proportionally
+  // weightedWords counts code (pre/code) words more heavily for adaptive speed
+  function countVisibleWords(target, axis) {
+    const root = isDocumentScroller(target) ? document.body : target;
+    const visibleRange = getVisibleAxisRange(target, axis);
+    
+    if (!root || visibleRange.end <= visibleRange.start) {
+      return { words: 0, weightedWords: 0, length: 0 };
+    }
+    
+    const getStart = rect => axis === 'horizontal' ? rect.left : rect.top;
+    const getEnd = rect => axis === 'horizontal' ? rect.right : rect.bottom;
+    
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+      {
+        acceptNode(node) {
+          if (node.nodeType === Node.TEXT_NODE) {
+            return NodeFilter.FILTER_ACCEPT;
+          }
+          
+          // Skip non-content elements and our own UI
+          if (SKIPPED_SAMPLE_TAGS.includes(node.tagName.toUpperCase()) ||
+              (node.id && node.id.startsWith('gesture-autoscroll'))) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          
+          // Prune subtrees that lie entirely outside the viewport
+          // (zero-size boxes such as display: contents are descended into)
+          const rect = node.getBoundingClientRect();
+          if ((rect.width > 0 || rect.height > 0) &&
+              (getEnd(rect) < visibleRange.start || getStart(rect) > visibleRange.end)) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          
+          return NodeFilter.FILTER_SKIP;
+        }
+      }
+    );
+    
+    const range = document.createRange();
+    let words = 0;
+    let weightedWords = 0;
+    
+    while (walker.nextNode()) {
+      const textNode = walker.currentNode;
+      const matches = textNode.textContent.match(/\S+/g);
+      if (!matches) {
+        continue;
+      }
+      
+      range.selectNodeContents(textNode);
+      const rect = range.getBoundingClientRect();
+      const nodeLength = getEnd(rect) - getStart(rect);
+      if (nodeLength <= 0) {
+        continue;
+      }
+      
+      // Count only the visible fraction of the text node
+      const visibleLength = Math.min(getEnd(rect), visibleRange.end) - Math.max(getStart(rect), visibleRange.start);
+      if (visibleLength > 0) {
+        const visibleWords = matches.length * Math.min(1, visibleLength / nodeLength);
+        const isCode = textNode.parentElement && textNode.parentElement.closest('pre, code');
+        words += visibleWords;
+        weightedWords += isCode ? visibleWords * CODE_DENSITY_WEIGHT : visibleWords;
+      }
+    }
+    
+    return { words, weightedWords, length: visibleRange.end - visibleRange.start };
+  }
+  
+  // Get words per pixel of scrolling from a viewport sample
+  // Returns null if the viewport has no readable text (keep previous estimate)
+  function getWordsPerPixel(sample) {
+    if (sample.words < 1 || sample.length <= 0) {
+      return null;
+    }
+    
+    return sample.words / sample.length;
+  }
+  
+  // ============================================================================
+  // SMART PAUSE (pause or slow down at headings, images, custom markers)
+  // ============================================================================
+  
+  const SMART_PAUSE_CHECK_INTERVAL = 100; // milliseconds between reading line checks
+  const SMART_PAUSE_SLOW_MULTIPLIER = 0.15; // Crawl speed while slowed (x current speed)
+  
+  // Get the reading line position (viewport coordinate) for the scroll target
+  function getSmartPauseLine(target, axis, linePercentage) {
+    const visibleRange = getVisibleAxisRange(target, axis);
+    return visibleRange.start + (visibleRange.end - visibleRange.start) * (linePercentage / 100);
+  }
+  
+  // Find a marked element whose leading edge crossed the reading line since the last check
+  // crossedDistance = pixels scrolled since the last check
+  // Elements in `triggered` are skipped so each one only fires once per session
+  function findSmartPauseElement(target, axis, selectors, linePercentage, crossedDistance, triggered) {
+    const root = isDocumentScroller(target) ? document : target;
+    let candidates;
+    
+    try {
+      candidates = root.querySelectorAll(selectors);
+    } catch (error) {
+      // Invalid user selector - ignore smart pause rather than breaking autoscroll
+      return null;
+    }
+    
+    const line = getSmartPauseLine(target, axis, linePercentage);
+    
+    for (const element of candidates) {
+      if (triggered.has(element)) {
+        continue;
+      }
+      
+      const rect = element.getBoundingClientRect();
+      
+      // Skip hidden elements (display: none, collapsed images)
+      if (rect.width === 0 || rect.height === 0) {
+        continue;
+      }
+      
+      const start = axis === 'horizontal' ? rect.left : rect.top;
+      
+      // Leading edge moved from below the line to at/above it during this interval
+      if (start <= line && start > line - crossedDistance) {
+        triggered.add(element);
+        return element;
+      }
+    }
+    
+    return null;
+  }
+  
+  // ============================================================================
+  // READ ALOUD (text-to-speech synchronized with scrolling)
+  // ============================================================================
+  
+  const TTS_MIN_RATE = 0.5; // Slowest speech rate (x normal)
+  const TTS_MAX_RATE = 3; // Fastest speech rate (x normal)
+  const TTS_CHARS_PER_SECOND = 15; // Rough speaking speed at rate 1 (for time-to-end estimates)
+  const TTS_COLLECT_CHUNK = 50; // Sentences collected at a time (long pages are collected as reading advances)
+  const TTS_BLOCK_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th, dt, dd, figcaption, caption, summary, div, section, article, main, body';
+  
+  // Check if the browser can speak
+  function isReadAloudSupported() {
+    return 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+  
+  // Get the configured voice (null = browser default)
+  function getTtsVoice() {
+    if (!settings.ttsVoice) {
+      return null;
+    }
+    return speechSynthesis.getVoices().find(voice => voice.voiceURI === settings.ttsVoice) || null;
+  }
+  
+  // Split text into sentences as [{ index, text }] (index = offset into text)
+  function splitSentences(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+      const segmenter = new Intl.Segmenter(document.documentElement.lang || undefined, { granularity: 'sentence' });
+      return Array.from(segmenter.segment(text), segment => ({ index: segment.index, text: segment.segment }));
+    }
+    
+    // Fallback: split after ., ! or ? (plus closing quotes/brackets)
+    const sentences = [];
+    const pattern = /[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null && match[0].length > 0) {
+      sentences.push({ index: match.index, text: match[0] });
+    }
+    return sentences;
+  }
+  
+  // Collects the readable sentences inside the scroll target, in document order
+  // Works a chunk at a time so long pages aren't walked and split all at once
+  // Each sentence remembers its text nodes so it can be located on screen later
+  class SentenceCollector {
+    constructor(target) {
+      const root = isDocumentScroller(target) ? document.body : target;
+      
+      this.sentences = []; // Sentences collected so far (grows as collection advances)
+      this.block = null; // Block whose text nodes are being grouped (split once complete)
+      this.done = !root; // Walked to the end of the content (lazy loading may add more later)
+      this.walker = root ? document.createTreeWalker(
+        root,
+        NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+        {
+          acceptNode(node) {
+            if (node.nodeType === Node.TEXT_NODE) {
+              return NodeFilter.FILTER_ACCEPT;
+            }
+            
+            // Skip non-content elements, hidden elements and our own UI
+            if (SKIPPED_SAMPLE_TAGS.includes(node.tagName.toUpperCase()) ||
+                (node.id && node.id.startsWith('gesture-autoscroll')) ||
+                node.getAttribute('aria-hidden') === 'true' ||
+                node.getClientRects().length === 0) {
+              return NodeFilter.FILTER_REJECT;
+            }
+            
+            return NodeFilter.FILTER_SKIP;
+          }
+        }
+      ) : null;
+    }
+    
+    // Walk on until at least `count` more sentences are collected or the content ends
+    // Returns true if any sentences were added
+    collectMore(count = TTS_COLLECT_CHUNK) {
+      if (!this.walker) {
+        return false;
+      }
+      
+      const before = this.sentences.length;
+      
+      while (this.sentences.length < before + count) {
+        // The walker stays on the last node at the end, so content appended later is still found
+        if (!this.walker.nextNode()) {
+          this.addBlockSentences();
+          this.done = true;
+          break;
+        }
+        this.done = false;
+        
+        const textNode = this.walker.currentNode;
+        if (!textNode.textContent.trim()) {
+          continue;
+        }
+        
+        // Group consecutive text nodes by their block so sentences can span inline markup
+        const block = textNode.parentElement.closest(TTS_BLOCK_SELECTOR);
+        if (!this.block || this.block.element !== block) {
+          this.addBlockSentences();
+          this.block = { element: block, nodes: [], text: '' };
+        }
+        
+        this.block.nodes.push({ node: textNode, start: this.block.text.length });
+        this.block.text += textNode.textContent;
+      }
+      
+      return this.sentences.length > before;
+    }
+    
+    // Split the grouped block into sentences
+    addBlockSentences() {
+      if (!this.block) {
+        return;
+      }
+      
+      for (const sentence of splitSentences(this.block.text)) {
+        // Skip fragments without letters or digits (stray punctuation, bullets)
+        if (!/[\p{L}\p{N}]/u.test(sentence.text)) {
+          continue;
+        }
+        this.sentences.push({
+          nodes: this.block.nodes,
+          start: sentence.index,
+          end: sentence.index + sentence.text.length,
+          text: sentence.text.replace(/\s+/g, ' ').trim()
+        });
+      }
+      
+      this.block = null;
+    }
+  }
+  
+  // Build a DOM range covering a sentence
+  function getSentenceRange(sentence) {
+    const range = document.createRange();
+    let startSet = false;
+    
+    for (const { node, start } of sentence.nodes) {
+      const end = start + node.textContent.length;
+      
+      if (!startSet && sentence.start < end) {
+        range.setStart(node, Math.max(0, sentence.start - start));
+        startSet = true;
+      }
+      
+      if (startSet && sentence.end <= end) {
+        range.setEnd(node, Math.max(0, sentence.end - start));
+        return range;
+      }
+    }
+    
+    // Text changed since the sentence was collected - cover what is left
+    const last = sentence.nodes[sentence.nodes.length - 1].node;
+    range.setEnd(last, last.textContent.length);
+    return range;
+  }
+  
+  // Get the on-screen box of a sentence's first line (null if it isn't rendered)
+  function getSentenceRect(sentence) {
+    if (!sentence.nodes[0].node.isConnected) {
+      return null;
+    }
+    
+    const rects = getSentenceRange(sentence).getClientRects();
+    for (const rect of rects) {
+      if (rect.width > 0 && rect.height > 0) {
+        return rect;
+      }
+    }
+    return null;
+  }
+  
+  // Check if a sentence is at least partly inside the visible part of the scroll target
+  function isSentenceVisible(sentence, target, axis) {
+    const rect = getSentenceRect(sentence);
+    if (!rect) {
+      return false;
+    }
+    
+    const visibleRange = getVisibleAxisRange(target, axis);
+    const start = axis === 'horizontal' ? rect.left : rect.top;
+    const end = axis === 'horizontal' ? rect.right : rect.bottom;
+    return end > visibleRange.start && start < visibleRange.end;
+  }
+  
+  // Find the first sentence that ends inside or after the visible area
+  // (collects only as far into the page as needed)
+  function findFirstVisibleSentence(collector, target, axis) {
+    const visibleStart = getVisibleAxisRange(target, axis).start;
+    const sentences = collector.sentences;
+    
+    for (let i = 0; i < sentences.length || collector.collectMore(); i++) {
+      const rect = getSentenceRect(sentences[i]);
+      if (rect && (axis === 'horizontal' ? rect.right : rect.bottom) > visibleStart) {
+        return i;
+      }
+    }
+    return sentences.length;
+  }
+  
+  // Scroll so the sentence's first line sits on the reading line
+  // (same position as the reading guide, so both line up when the guide is on)
+  function scrollSentenceIntoView(sentence, target, axis) {
+    const rect = getSentenceRect(sentence);
+    if (!rect) {
+      return;
+    }
+    
+    const line = getSmartPauseLine(target, axis, settings.readingGuidePosition);
+    const offset = (axis === 'horizontal' ? rect.left : rect.top) - line;
+    
+    // Already close enough - avoid tiny jiggles between sentences on the same line
+    if (Math.abs(offset) < rect.height) {
+      return;
+    }
+    
+    smoothScrollTo(target, axis, getScrollPosition(target, axis) + offset);
+  }
+  
+  // ============================================================================
+  // AUTOSCROLLER CLASS
+  // ============================================================================
+  
+  const MAX_FRAME_DELTA = 100; // milliseconds - longer gaps between frames (throttled/backgrounded tab) are capped
+  
+  // Check if element accepts typed text (autoscroll pauses while typing)
+  function isEditableElement(element) {
+    if (!element || !element.tagName) {
+      return false;
+    }
+    
+    if (element.isContentEditable) {
+      return true;
+    }
+    
+    const tagName = element.tagName.toLowerCase();
+    if (tagName === 'textarea' || tagName === 'select') {
+      return true;
+    }
+    
+    if (tagName === 'input') {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      return !['button', 'checkbox', 'radio', 'range', 'reset', 'submit', 'image', 'color', 'file', 'hidden'].includes(type);
+    }
+    
+    return false;
+  }
+  
+  class AutoScroller {
+    constructor(config) {
+      // Store reference to settings object (will be updated dynamically)
+      this.config = config;
+      this.state = 'INACTIVE'; // INACTIVE, SCROLLING, PAUSED
+      this.currentSpeed = config.defaultSpeed;
+      this.animationFrameId = null;
+      this.lastScrollTime = 0;
+      this.targetScrollPosition = 0; // Target scroll position for smooth scrolling
+      this.maxScrollTop = 0; // Cached max scroll position
+      this.lastMaxScrollCheck = 0; // Last time we refreshed maxScrollTop
+      this.scrollTarget = null; // Element being scrolled (document or inner container)
+      this.axis = 'vertical'; // Scroll axis ('vertical' or 'horizontal')
+      this.targetWpm = config.targetWpm; // Target reading speed in WPM mode
+      this.wordsPerPixel = null; // Smoothed words-per-pixel estimate (WPM mode)
+      this.lastWordDensityCheck = 0; // Last time we sampled the viewport text
+      this.referenceDensity = null; // Average weighted text density seen so far (adaptive mode)
+      this.densityMultiplier = 1; // Smoothed speed multiplier from on-screen density (adaptive mode)
+      this.smartPauseTriggered = new WeakSet(); // Elements that already paused/slowed this session
+      this.lastSmartPauseCheck = 0; // Last time we checked the reading line
+      this.lastSmartPausePosition = 0; // Scroll position at the last reading line check
+      this.smartPauseResumeTimeout = null; // Pending auto-resume after a smart pause
+      this.smartSlowUntil = 0; // Timestamp until which speed is reduced (slow action)
+      this.steppedInterval = config.steppedInterval; // Seconds between page turns (stepped mode)
+      this.stepTimeout = null; // Pending page turn (stepped mode)
+      this.jumpTimeout = null; // Pending discrete jump (e-ink mode)
+      this.jumpStep = 0; // Pixels moved by the pending jump (e-ink mode)
+      this.direction = 'forward'; // 'forward' (down/right) or 'backward' (up/left)
+      this.ttsRate = config.ttsRate; // Speech rate (read aloud mode)
+      this.ttsCollector = null; // Walks the page for sentences as reading advances (read aloud mode)
+      this.ttsSentences = []; // Sentences collected from the page so far (read aloud mode)
+      this.ttsSentenceIndex = 0; // Sentence being spoken (read aloud mode)
+      this.ttsUtterance = null; // Utterance currently queued in speechSynthesis
+      this.growthObserver = null; // MutationObserver watching for lazy-loaded content at the bottom
+      this.growthPollInterval = null; // Fallback poll for scroll size changes (images, fonts)
+      this.growthTimeout = null; // Grace period timer before declaring end of page
+      this.autoPausedBy = null; // Lifecycle event that paused scrolling ('hidden', 'blur', 'input'), null if none
+      this.lifecycleListenersAttached = false;
+      
+      // Bind scroll method once to avoid creating new functions every frame
+      this.scroll = this.scroll.bind(this);
+      this.step = this.step.bind(this);
+      this.jump = this.jump.bind(this);
+      
+      // Bind lifecycle handlers so they can be removed again
+      this.onVisibilityChange = this.onVisibilityChange.bind(this);
+      this.onPageHide = this.onPageHide.bind(this);
+      this.onPageShow = this.onPageShow.bind(this);
+      this.onWindowBlur = this.onWindowBlur.bind(this);
+      this.onWindowFocus = this.onWindowFocus.bind(this);
+      this.onFocusIn = this.onFocusIn.bind(this);
+      this.onFocusOut = this.onFocusOut.bind(this);
+    }
+    
+    // Update config (for when settings change)
+    updateConfig(newConfig) {
+      this.config = newConfig;
+    }
+    
+    // Check if autoscroller is active (either scrolling or paused)
+    isActive() {
+      return this.state !== 'INACTIVE';
+    }
+    
+    // Get current state
+    getState() {
+      return this.state;
+    }
+    
+    // Get scroll direction ('forward' or 'backward')
+    getDirection() {
+      return this.direction;
+    }
+    
+    // Get direction as shown to the user (depends on scroll axis)
+    getDirectionLabel() {
+      const axis = this.scrollTarget ? this.axis : getScrollAxis();
+      if (axis === 'horizontal') {
+        return this.direction === 'forward' ? 'right' : 'left';
+      }
+      return this.direction === 'forward' ? 'down' : 'up';
+    }
+    
+    // Reverse scroll direction (takes effect on the next frame/step)
+    toggleDirection() {
+      this.direction = this.direction === 'forward' ? 'backward' : 'forward';
+    }
+    
+    // Change state and let page UI (progress bar) follow along
+    setState(state) {
+      this.state = state;
+      onAutoscrollStateChange(state);
+    }
+    
+    // Get current speed (in px/sec)
+    getCurrentSpeed() {
+      return this.currentSpeed;
+    }
+    
+    // Check if autoscroll turns one page at a time instead of scrolling continuously
+    isSteppedMode() {
+      return this.config.autoscrollMode === 'stepped';
+    }
+    
+    // Check if the page is read aloud, scrolling along with the spoken sentence
+    isReadAloudMode() {
+      return this.config.autoscrollMode === 'readAloud' && isReadAloudSupported();
+    }
+    
+    // Check if autoscroll should jump in discrete steps for e-ink displays
+    // (stepped mode already turns whole pages, read aloud moves per sentence)
+    isEinkMode() {
+      return this.config.einkModeEnabled && !this.isSteppedMode() && !this.isReadAloudMode();
+    }
+    
+    // Check if speed is expressed in words per minute
+    isWpmMode() {
+      return this.config.speedUnit === 'wpm' && !this.isSteppedMode() && !this.isReadAloudMode();
+    }
+    
+    // Check if speed adapts to on-screen content density
+    // (WPM mode already follows text density, so adaptive only applies to px/sec)
+    isAdaptiveMode() {
+      return this.config.adaptiveSpeedEnabled && !this.isWpmMode() && !this.isSteppedMode() && !this.isReadAloudMode();
+    }
+    
+    // Get the px/sec actually used this frame (baseline speed x content/smart pause multipliers)
+    getEffectiveSpeed() {
+      let speed = this.currentSpeed;
+      
+      if (this.isAdaptiveMode()) {
+        // Dense or sparse text scales the speed, but never past the site's max speed
+        speed = Math.min(speed * this.densityMultiplier, this.config.maxSpeed);
+      }
+      
+      if (this.lastScrollTime < this.smartSlowUntil) {
+        speed *= SMART_PAUSE_SLOW_MULTIPLIER;
+      }
+      
+      return speed;
+    }
+    
+    // Get speed label for toasts (in the unit the user controls)
+    getSpeedLabel() {
+      if (this.isReadAloudMode()) {
+        return `${Number(this.ttsRate.toFixed(2))}x speech rate`;
+      }
+      if (this.isSteppedMode()) {
+        return `1 page every ${this.steppedInterval}s`;
+      }
+      if (this.isWpmMode()) {
+        return `${Math.round(this.targetWpm)} WPM`;
+      }
+      return `${Math.round(this.currentSpeed)} px/sec`;
+    }
+    
+    // Start autoscrolling
+    start() {
+      if (this.state === 'INACTIVE') {
+        this.setState('SCROLLING');
+        this.direction = 'forward';
+        this.currentSpeed = this.config.defaultSpeed;
+        this.targetWpm = this.config.targetWpm;
+        this.steppedInterval = this.config.steppedInterval;
+        this.ttsRate = this.config.ttsRate;
+        this.ttsCollector = null;
+        this.ttsSentences = [];
+        this.ttsSentenceIndex = 0;
+        this.referenceDensity = null;
+        this.densityMultiplier = 1;
+        this.smartPauseTriggered = new WeakSet();
+        this.smartSlowUntil = 0;
+        this.autoPausedBy = null;
+        this.attachLifecycleListeners();
+        this.startScrolling();
+        // Acquire wake lock to keep screen active
+        wakeLockManager.enable();
+      }
+    }
+    
+    // Stop autoscrolling (deactivate completely)
+    stop() {
+      this.setState('INACTIVE');
+      this.cancelSmartPauseResume();
+      this.detachLifecycleListeners();
+      this.autoPausedBy = null;
+      // Session is over - no timer should outlive it
+      cancelSleepTimer();
+      this.stopScrolling();
+      // Release wake lock
+      wakeLockManager.disable();
+    }
+    
+    // Pause autoscrolling
+    pause() {
+      if (this.state === 'SCROLLING') {
+        this.setState('PAUSED');
+        this.stopScrolling();
+        // Keep wake lock active for a while so screen doesn't turn off mid-pause
+        wakeLockManager.startIdleTimeout();
+      }
+    }
+    
+    // Resume autoscrolling
+    resume() {
+      // Manual resume overrides any pending smart pause timer
+      this.cancelSmartPauseResume();
+      this.autoPausedBy = null;
+      
+      if (this.state === 'PAUSED') {
+        this.setState('SCROLLING');
+        this.startScrolling();
+        // Re-acquire the lock if it was released after a long pause
+        wakeLockManager.enable();
+      }
+    }
+    
+    // Listen for page lifecycle changes while autoscroll is active
+    attachLifecycleListeners() {
+      if (this.lifecycleListenersAttached) {
+        return;
+      }
+      this.lifecycleListenersAttached = true;
+      
+      document.addEventListener('visibilitychange', this.onVisibilityChange);
+      window.addEventListener('pagehide', this.onPageHide);
+      window.addEventListener('pageshow', this.onPageShow);
+      window.addEventListener('blur', this.onWindowBlur);
+      window.addEventListener('focus', this.onWindowFocus);
+      document.addEventListener('focusin', this.onFocusIn, true);
+      document.addEventListener('focusout', this.onFocusOut, true);
+    }
+    
+    // Stop listening for page lifecycle changes
+    detachLifecycleListeners() {
+      if (!this.lifecycleListenersAttached) {
+        return;
+      }
+      this.lifecycleListenersAttached = false;
+      
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+      window.removeEventListener('pagehide', this.onPageHide);
+      window.removeEventListener('pageshow', this.onPageShow);
+      window.removeEventListener('blur', this.onWindowBlur);
+      window.removeEventListener('focus', this.onWindowFocus);
+      document.removeEventListener('focusin', this.onFocusIn, true);
+      document.removeEventListener('focusout', this.onFocusOut, true);
+    }
+    
+    // Tab switched away or back
+    onVisibilityChange() {
+      if (document.hidden) {
+        this.autoPause('hidden');
+      } else {
+        // rAF stops in background tabs - don't count the time away as one huge frame
+        this.lastScrollTime = performance.now();
+        this.autoResume();
+      }
+    }
+    
+    // Page is being unloaded or put into the back/forward cache
+    onPageHide() {
+      this.autoPause('hidden');
+    }
+    
+    // Page restored from the back/forward cache
+    onPageShow(event) {
+      if (event.persisted) {
+        this.lastScrollTime = performance.now();
+        this.autoResume();
+      }
+    }
+    
+    // Browser window lost focus (another app, dialog or URL bar)
+    onWindowBlur(event) {
+      if (event.target === window) {
+        this.autoPause('blur');
+      }
+    }
+    
+    // Browser window focused again
+    onWindowFocus(event) {
+      if (event.target === window) {
+        this.autoResume();
+      }
+    }
+    
+    // Focus moved into a text field - don't scroll the page away from it
+    onFocusIn(event) {
+      if (isEditableElement(event.target)) {
+        this.autoPause('input');
+      }
+    }
+    
+    // Focus left a text field (and didn't move straight into another one)
+    onFocusOut(event) {
+      if (isEditableElement(event.target) && !isEditableElement(event.relatedTarget)) {
+        this.autoResume();
+      }
+    }
+    
+    // Pause because of a lifecycle event (remembers the reason for auto-resume)
+    autoPause(reason) {
+      if (!this.config.autoPauseEnabled || this.autoPausedBy) {
+        return;
+      }
+      
+      if (this.state === 'SCROLLING') {
+        this.pause();
+      } else if (this.state === 'PAUSED' && this.smartPauseResumeTimeout) {
+        // Smart pause would otherwise resume while nobody is looking
+        this.cancelSmartPauseResume();
+      } else {
+        return;
+      }
+      
+      this.autoPausedBy = reason;
+      
+      if (reason === 'input') {
+        showToast('Paused while typing');
+      }
+    }
+    
+    // Resume after an auto-pause once the page is visible, focused and no text field is active
+    autoResume() {
+      if (!this.autoPausedBy || this.state !== 'PAUSED') {
+        return;
+      }
+      
+      if (document.hidden || !document.hasFocus() || isEditableElement(document.activeElement)) {
+        return;
+      }
+      
+      if (this.config.autoResumeEnabled) {
+        this.resume();
+        showToast('Resumed');
+      } else {
+        this.autoPausedBy = null;
+        showToast(`${getPausedToastMessage()} - tap to resume`, 2000);
+      }
+    }
+    
+    // Pause or slow down when a marked element reaches the reading line
+    checkSmartPause(timestamp) {
+      const position = getScrollPosition(this.scrollTarget, this.axis);
+      const crossedDistance = position - this.lastSmartPausePosition;
+      this.lastSmartPausePosition = position;
+      
+      if (crossedDistance <= 0) {
+        return false;
+      }
+      
+      const element = findSmartPauseElement(
+        this.scrollTarget,
+        this.axis,
+        this.config.smartPauseSelectors,
+        this.config.smartPauseLinePercentage,
+        crossedDistance,
+        this.smartPauseTriggered
+      );
+      
+      if (!element) {
+        return false;
+      }
+      
+      const duration = this.config.smartPauseDuration;
+      
+      if (this.config.smartPauseAction === 'slow') {
+        // Crawl for the configured time (at least 1 second)
+        this.smartSlowUntil = timestamp + Math.max(1, duration) * 1000;
+        return false;
+      }
+      
+      this.pause();
+      
+      if (duration > 0) {
+        showToast(`Paused (resuming in ${duration}s)`, 2000);
+        this.smartPauseResumeTimeout = setTimeout(() => {
+          this.smartPauseResumeTimeout = null;
+          if (this.state === 'PAUSED') {
+            this.resume();
+            showToast('Resumed');
+          }
+        }, duration * 1000);
+      } else {
+        showToast(`${getPausedToastMessage()} - tap to resume`, 2000);
+      }
+      
+      return true;
+    }
+    
+    // Cancel a pending smart pause auto-resume
+    cancelSmartPauseResume() {
+      if (this.smartPauseResumeTimeout) {
+        clearTimeout(this.smartPauseResumeTimeout);
+        this.smartPauseResumeTimeout = null;
+      }
+    }
+    
+    // Toggle between scrolling and paused
+    toggle() {
+      if (this.state === 'SCROLLING') {
+        this.pause();
+      } else if (this.state === 'PAUSED') {
+        this.resume();
+      }
+    }
+    
+    // Increase scroll speed
+    increaseSpeed() {
+      if (this.isReadAloudMode()) {
+        this.adjustTtsRate(this.config.ttsRateGranularity);
+        return;
+      }
+      
+      if (this.isSteppedMode()) {
+        // Faster = shorter wait between page turns
+        this.adjustSteppedInterval(-this.config.steppedGranularity);
+        return;
+      }
+      
+      if (this.isWpmMode()) {
+        this.adjustTargetWpm(this.config.wpmGranularity);
+        return;
+      }
+      
+      this.currentSpeed = Math.min(
+        this.config.maxSpeed,
+        this.currentSpeed + this.config.granularity
+      );
+      
+      // Update the config default speed so it persists
+      this.config.defaultSpeed = this.currentSpeed;
+      
+      // Save to storage
+      saveCurrentSpeedToStorage(this.currentSpeed);
+    }
+    
+    // Decrease scroll speed
+    decreaseSpeed() {
+      if (this.isReadAloudMode()) {
+        this.adjustTtsRate(-this.config.ttsRateGranularity);
+        return;
+      }
+      
+      if (this.isSteppedMode()) {
+        this.adjustSteppedInterval(this.config.steppedGranularity);
+        return;
+      }
+      
+      if (this.isWpmMode()) {
+        this.adjustTargetWpm(-this.config.wpmGranularity);
+        return;
+      }
+      
+      this.currentSpeed = Math.max(
+        this.config.minSpeed,
+        this.currentSpeed - this.config.granularity
+      );
+      
+      // Update the config default speed so it persists
+      this.config.defaultSpeed = this.currentSpeed;
+      
+      // Save to storage
+      saveCurrentSpeedToStorage(this.currentSpeed);
+    }
+    
+    // Change target WPM by delta (WPM mode)
+    adjustTargetWpm(delta) {
+      this.targetWpm = Math.max(
+        this.config.minWpm,
+        Math.min(this.config.maxWpm, this.targetWpm + delta)
+      );
+      
+      // Update the config target so it persists
+      this.config.targetWpm = this.targetWpm;
+      
+      // Recompute px/sec right away so the change is felt immediately
+      this.updateWpmSpeed();
+      
+      // Save to storage
+      saveCurrentSpeedToStorage(this.targetWpm, 'targetWpm');
+    }
+    
+    // Change the speech rate (read aloud mode) and persist it
+    // Takes effect from the next sentence so the current one isn't cut off
+    adjustTtsRate(delta) {
+      this.ttsRate = Math.max(
+        TTS_MIN_RATE,
+        Math.min(TTS_MAX_RATE, Math.round((this.ttsRate + delta) * 100) / 100)
+      );
+      
+      // Update the config rate so it persists
+      this.config.ttsRate = this.ttsRate;
+      
+      // Save to storage
+      saveCurrentSpeedToStorage(this.ttsRate, 'ttsRate');
+    }
+    
+    // Change the page turn interval (stepped mode) and persist it
+    adjustSteppedInterval(delta) {
+      this.steppedInterval = Math.max(
+        this.config.minSteppedInterval,
+        Math.min(this.config.maxSteppedInterval, this.steppedInterval + delta)
+      );
+      
+      // Update the config interval so it persists
+      this.config.steppedInterval = this.steppedInterval;
+      
+      // Save to storage
+      saveCurrentSpeedToStorage(this.steppedInterval, 'steppedInterval');
+    }
+    
+    // Sample on-screen text and update WPM speed and/or adaptive multiplier
+    refreshViewportSample() {
+      const sample = countVisibleWords(this.scrollTarget, this.axis);
+      
+      if (this.isWpmMode()) {
+        this.updateWordDensity(sample);
+      }
+      
+      if (this.isAdaptiveMode()) {
+        this.updateDensityMultiplier(sample);
+      }
+    }
+    
+    // Refresh words-per-pixel estimate and derive px/sec from target WPM
+    updateWordDensity(sample) {
+      const wordsPerPixel = getWordsPerPixel(sample);
+      
+      if (wordsPerPixel !== null) {
+        // Smooth estimate so speed doesn't jump between paragraphs
+        this.wordsPerPixel = this.wordsPerPixel === null
+          ? wordsPerPixel
+          : this.wordsPerPixel + (wordsPerPixel - this.wordsPerPixel) * WORD_DENSITY_SMOOTHING;
+      }
+      
+      this.updateWpmSpeed();
+    }
+    
+    // Compare on-screen density with the page average to speed up or slow down
+    // Sparse regions (images, whitespace, ads) go faster, dense text and code slower
+    updateDensityMultiplier(sample) {
+      const density = sample.length > 0 ? sample.weightedWords / sample.length : 0;
+      
+      // Track the page's typical density as the reference point
+      if (density > 0) {
+        this.referenceDensity = this.referenceDensity === null
+          ? density
+          : this.referenceDensity + (density - this.referenceDensity) * ADAPTIVE_REFERENCE_SMOOTHING;
+      }
+      
+      let targetMultiplier = 1;
+      if (this.referenceDensity !== null) {
+        if (density <= 0) {
+          targetMultiplier = ADAPTIVE_MAX_MULTIPLIER;
+        } else {
+          const strength = this.config.adaptiveSpeedStrength / 100;
+          targetMultiplier = Math.pow(this.referenceDensity / density, strength);
+        }
+      }
+      
+      targetMultiplier = Math.max(ADAPTIVE_MIN_MULTIPLIER, Math.min(ADAPTIVE_MAX_MULTIPLIER, targetMultiplier));
+      
+      // Ease toward the new multiplier to avoid sudden lurches
+      this.densityMultiplier += (targetMultiplier - this.densityMultiplier) * WORD_DENSITY_SMOOTHING;
+    }
+    
+    // Convert target WPM into px/sec using the current words-per-pixel estimate
+    updateWpmSpeed() {
+      if (this.wordsPerPixel === null || this.wordsPerPixel <= 0) {
+        // No text seen yet - keep the current px/sec
+        return;
+      }
+      
+      const wordsPerSecond = this.targetWpm / 60;
+      this.currentSpeed = Math.max(
+        this.config.minSpeed,
+        Math.min(this.config.maxSpeed, wordsPerSecond / this.wordsPerPixel)
+      );
+    }
+    
+    // Start the scrolling animation loop using requestAnimationFrame
+    startScrolling() {
+      this.lastScrollTime = performance.now();
+      
+      // Resolve which element and axis to drive (window or inner scroll container)
+      this.axis = getScrollAxis();
+      this.scrollTarget = getScrollTarget();
+      
+      // Initialize target position to current scroll position
+      this.targetScrollPosition = getScrollPosition(this.scrollTarget, this.axis);
+      
+      // Cache max scroll position
+      this.maxScrollTop = getMaxScrollPosition(this.scrollTarget, this.axis);
+      this.lastMaxScrollCheck = this.lastScrollTime;
+      
+      // Read aloud mode scrolls per spoken sentence instead of at a fixed speed
+      if (this.isReadAloudMode()) {
+        this.startReadingAloud();
+        return;
+      }
+      
+      // Stepped mode turns whole pages on a timer instead of animating every frame
+      if (this.isSteppedMode()) {
+        this.scheduleStep();
+        return;
+      }
+      
+      // Sample on-screen text before the first frame in WPM/adaptive mode
+      if (this.isWpmMode() || this.isAdaptiveMode()) {
+        this.refreshViewportSample();
+        this.lastWordDensityCheck = this.lastScrollTime;
+      }
+      
+      // Only elements crossing the reading line from here on trigger smart pause
+      this.lastSmartPausePosition = this.targetScrollPosition;
+      this.lastSmartPauseCheck = this.lastScrollTime;
+      
+      // E-ink displays ghost on per-frame scrolling - move in discrete jumps instead
+      if (this.isEinkMode()) {
+        this.scheduleJump();
+        return;
+      }
+      
+      this.animationFrameId = requestAnimationFrame(this.scroll);
+    }
+    
+    // Start (or continue) reading aloud
+    startReadingAloud() {
+      // Continue with the interrupted sentence if it is still on screen,
+      // otherwise start from the first sentence visible now (user may have scrolled)
+      const current = this.ttsSentences[this.ttsSentenceIndex];
+      if (current && isSentenceVisible(current, this.scrollTarget, this.axis)) {
+        this.speakSentence(this.ttsSentenceIndex);
+        return;
+      }
+      
+      // Read to the end and waited for more content - carry on after the last sentence read
+      const previous = this.ttsSentences[this.ttsSentenceIndex - 1];
+      if (!current && previous && isSentenceVisible(previous, this.scrollTarget, this.axis)) {
+        this.speakSentence(this.ttsSentenceIndex);
+        return;
+      }
+      
+      this.ttsCollector = new SentenceCollector(this.scrollTarget);
+      this.ttsSentences = this.ttsCollector.sentences;
+      
+      const index = findFirstVisibleSentence(this.ttsCollector, this.scrollTarget, this.axis);
+      
+      if (this.ttsSentences.length === 0) {
+        this.stop();
+        showToast('Nothing to read aloud on this page', 2000);
+        return;
+      }
+      
+      this.speakSentence(index);
+    }
+    
+    // Get a sentence, collecting further into the page if needed (null past the end)
+    getSentence(index) {
+      while (index >= this.ttsSentences.length) {
+        if (!this.ttsCollector || !this.ttsCollector.collectMore()) {
+          return null;
+        }
+      }
+      return this.ttsSentences[index];
+    }
+    
+    // Speak one sentence, then move on to the next when it ends
+    speakSentence(index) {
+      const sentence = this.getSentence(index);
+      this.ttsSentenceIndex = index;
+      
+      // Read to the end of the page - wait for lazy-loaded content like the other modes
+      if (!sentence) {
+        this.maxScrollTop = getMaxScrollPosition(this.scrollTarget, this.axis);
+        this.handleEndOfContent();
+        return;
+      }
+      
+      scrollSentenceIntoView(sentence, this.scrollTarget, this.axis);
+      
+      const utterance = new SpeechSynthesisUtterance(sentence.text);
+      utterance.rate = this.ttsRate;
+      
+      const voice = getTtsVoice();
+      if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+      } else if (document.documentElement.lang) {
+        utterance.lang = document.documentElement.lang;
+      }
+      
+      utterance.onend = () => {
+        // Ignore utterances we cancelled (pause/stop)
+        if (this.ttsUtterance !== utterance) {
+          return;
+        }
+        this.ttsUtterance = null;
+        
+        if (this.state === 'SCROLLING') {
+          this.speakSentence(index + 1);
+        }
+      };
+      
+      utterance.onerror = (event) => {
+        if (this.ttsUtterance !== utterance) {
+          return;
+        }
+        this.ttsUtterance = null;
+        
+        if (event.error === 'interrupted' || event.error === 'canceled') {
+          return;
+        }
+        
+        console.error('Read aloud error:', event.error);
+        this.stop();
+        showToast('Read aloud failed', 2000);
+      };
+      
+      this.ttsUtterance = utterance;
+      speechSynthesis.speak(utterance);
+      
+      // Keep collecting ahead while speaking so the time-to-end estimate covers the whole page
+      if (!this.ttsCollector.done) {
+        this.ttsCollector.collectMore();
+      }
+    }
+    
+    // Stop speaking (pause keeps the sentence index so resume can repeat it)
+    stopReadingAloud() {
+      if (this.ttsUtterance) {
+        this.ttsUtterance = null;
+        speechSynthesis.cancel();
+      }
+    }
+    
+    // Schedule the next page turn (stepped mode)
+    scheduleStep() {
+      this.stepTimeout = setTimeout(this.step, this.steppedInterval * 1000);
+    }
+    
+    // Turn one page (stepped mode), then schedule the next turn
+    step() {
+      this.stepTimeout = null;
+      
+      if (this.state !== 'SCROLLING') {
+        return;
+      }
+      
+      if (this.direction === 'backward') {
+        // First page has been shown for a full interval - handle top of page
+        if (this.isAtTop()) {
+          this.handleStartOfContent();
+          return;
+        }
+        
+        startTapScroll('up');
+        this.scheduleStep();
+        return;
+      }
+      
+      // Last page has been shown for a full interval - handle end of page
+      if (this.isAtBottom()) {
+        this.maxScrollTop = getMaxScrollPosition(this.scrollTarget, this.axis);
+        this.handleEndOfContent();
+        return;
+      }
+      
+      // Same jump as tapping the page down zone (tapScrollPercentage)
+      startTapScroll('down');
+      this.scheduleStep();
+    }
+    
+    // Reached the top of the scrollable content (reverse autoscroll)
+    handleStartOfContent() {
+      // Chat logs and reverse feeds may load older content above a moment later
+      if (this.config.endOfPageGracePeriod > 0) {
+        this.maxScrollTop = getMaxScrollPosition(this.scrollTarget, this.axis);
+        this.waitForMoreContent();
+        return;
       }
+      
+      this.stop();
+      handleReachedTop();
     }
     
-    // Stop autoscrolling (deactivate completely)
-    stop() {
-      this.state = 'INACTIVE';
-      this.stopScrolling();
-      // Release wake lock
-      disableWakeLock();
+    // Reached the end of the scrollable content
+    handleEndOfContent() {
+      // Feeds and lazy-loading pages may add more content a moment later
+      if (this.config.endOfPageGracePeriod > 0) {
+        this.waitForMoreContent();
+        return;
+      }
+      
+      this.stop();
+      handleReachedBottom();
     }
     
-    // Pause autoscrolling
-    pause() {
-      if (this.state === 'SCROLLING') {
-        this.state = 'PAUSED';
-        this.stopScrolling();
-        // Keep wake lock active during pause so screen doesn't turn off
+    // Get reading progress through the scroll target (0-1)
+    getProgress() {
+      const target = this.scrollTarget || getScrollTarget();
+      const axis = this.scrollTarget ? this.axis : getScrollAxis();
+      const maxScrollTop = getMaxScrollPosition(target, axis);
+      
+      if (maxScrollTop <= 0) {
+        return 1;
       }
+      return Math.min(1, getScrollPosition(target, axis) / maxScrollTop);
     }
     
-    // Resume autoscrolling
-    resume() {
-      if (this.state === 'PAUSED') {
-        this.state = 'SCROLLING';
-        this.startScrolling();
+    // Estimate seconds until the end of the page (top when reversed) at the current speed (null if unknown)
+    getSecondsToEnd() {
+      const target = this.scrollTarget || getScrollTarget();
+      const axis = this.scrollTarget ? this.axis : getScrollAxis();
+      // Backward autoscroll ends at the top
+      const remaining = this.direction === 'forward'
+        ? Math.max(0, getMaxScrollPosition(target, axis) - getScrollPosition(target, axis))
+        : getScrollPosition(target, axis);
+      
+      if (this.isReadAloudMode() && this.ttsSentences.length > 0) {
+        // Unknown until the rest of the page has been collected
+        if (!this.ttsCollector.done) {
+          return null;
+        }
+        
+        // Estimate from the characters left to speak
+        let characters = 0;
+        for (let i = this.ttsSentenceIndex; i < this.ttsSentences.length; i++) {
+          characters += this.ttsSentences[i].text.length;
+        }
+        return characters / (TTS_CHARS_PER_SECOND * this.ttsRate);
       }
+      
+      if (this.isSteppedMode()) {
+        // One page turn per interval
+        const pageSize = getScrollViewportSize(target, axis) * (this.config.tapScrollPercentage / 100);
+        return pageSize > 0 ? Math.ceil(remaining / pageSize) * this.steppedInterval : null;
+      }
+      
+      const speed = this.getEffectiveSpeed();
+      return speed > 0 ? remaining / speed : null;
     }
     
-    // Toggle between scrolling and paused
-    toggle() {
+    // Continue from the current scroll position after an external jump
+    resyncPosition() {
       if (this.state === 'SCROLLING') {
-        this.pause();
-      } else if (this.state === 'PAUSED') {
-        this.resume();
+        this.stopScrolling();
+        this.startScrolling();
       }
     }
     
-    // Increase scroll speed
-    increaseSpeed() {
-      this.currentSpeed = Math.min(
-        this.config.maxSpeed,
-        this.currentSpeed + this.config.granularity
-      );
+    // Hold at the bottom (top when reversed) and wait for infinite scroll / lazy loading to add content
+    // Resumes on its own if the page grows, otherwise declares end of page after the grace period
+    waitForMoreContent() {
+      this.cancelWaitForMoreContent();
       
-      // Update the config default speed so it persists
-      this.config.defaultSpeed = this.currentSpeed;
+      const gracePeriod = this.config.endOfPageGracePeriod;
+      const root = isDocumentScroller(this.scrollTarget) ? document.body : this.scrollTarget;
+      const atTop = this.direction === 'backward';
       
-      // Save to storage
-      saveCurrentSpeedToStorage(this.currentSpeed);
-    }
-    
-    // Decrease scroll speed
-    decreaseSpeed() {
-      this.currentSpeed = Math.max(
-        this.config.minSpeed,
-        this.currentSpeed - this.config.granularity
-      );
+      // Older content loads above the reader - remember what is on screen to keep it in place
+      const getLeadingEdge = element => {
+        const rect = element.getBoundingClientRect();
+        return this.axis === 'horizontal' ? rect.left : rect.top;
+      };
+      const anchor = atTop ? findReadingAnchorElement(this.scrollTarget, this.axis) : null;
+      const anchorEdge = anchor ? getLeadingEdge(anchor) : 0;
       
-      // Update the config default speed so it persists
-      this.config.defaultSpeed = this.currentSpeed;
+      showToast('Waiting for more content…', gracePeriod * 1000);
       
-      // Save to storage
-      saveCurrentSpeedToStorage(this.currentSpeed);
+      const checkForGrowth = () => {
+        const maxScrollTop = getMaxScrollPosition(this.scrollTarget, this.axis);
+        if (maxScrollTop > this.maxScrollTop + 1) {
+          this.cancelWaitForMoreContent();
+          hideToast();
+          
+          // Content prepended above pushed the anchor down - follow it (unless the browser already did)
+          if (anchor && anchor.isConnected) {
+            const shift = getLeadingEdge(anchor) - anchorEdge;
+            if (shift > 1) {
+              setScrollPosition(this.scrollTarget, getScrollPosition(this.scrollTarget, this.axis) + shift, this.axis);
+            }
+          }
+          
+          if (this.isSteppedMode()) {
+            // Reader already waited at the bottom - turn the page right away
+            this.step();
+          } else {
+            // Restart the loop from the current position with the new page size
+            this.startScrolling();
+          }
+        }
+      };
+      
+      if (root) {
+        this.growthObserver = new MutationObserver(checkForGrowth);
+        this.growthObserver.observe(root, { childList: true, subtree: true });
+      }
+      
+      this.growthPollInterval = setInterval(checkForGrowth, 250);
+      
+      this.growthTimeout = setTimeout(() => {
+        this.growthTimeout = null;
+        this.stop();
+        if (atTop) {
+          handleReachedTop();
+        } else {
+          handleReachedBottom();
+        }
+      }, gracePeriod * 1000);
     }
     
-    // Start the scrolling animation loop using requestAnimationFrame
-    startScrolling() {
-      this.lastScrollTime = performance.now();
-      
-      // Initialize target position to current scroll position
-      this.targetScrollPosition = window.pageYOffset || document.documentElement.scrollTop;
+    // Stop watching for new content at the bottom
+    cancelWaitForMoreContent() {
+      if (this.growthObserver) {
+        this.growthObserver.disconnect();
+        this.growthObserver = null;
+      }
       
-      // Cache max scroll position
-      this.maxScrollTop = document.documentElement.scrollHeight - document.documentElement.clientHeight;
-      this.lastMaxScrollCheck = this.lastScrollTime;
+      if (this.growthPollInterval) {
+        clearInterval(this.growthPollInterval);
+        this.growthPollInterval = null;
+      }
       
-      this.animationFrameId = requestAnimationFrame(this.scroll);
+      if (this.growthTimeout) {
+        clearTimeout(this.growthTimeout);
+        this.growthTimeout = null;
+      }
     }
     
     // Stop the scrolling animation loop
     stopScrolling() {
+      // Pausing or stopping also ends any wait for more content
+      this.cancelWaitForMoreContent();
+      this.stopReadingAloud();
+      
+      if (this.stepTimeout) {
+        clearTimeout(this.stepTimeout);
+        this.stepTimeout = null;
+      }
+      
+      if (this.jumpTimeout) {
+        clearTimeout(this.jumpTimeout);
+        this.jumpTimeout = null;
+      }
+      
       if (this.animationFrameId) {
         cancelAnimationFrame(this.animationFrameId);
         this.animationFrameId = null;
@@ -1377,58 +4307,124 @@
       }
       
       // Calculate time elapsed since last scroll
-      const deltaTime = timestamp - this.lastScrollTime;
+      // (capped so a throttled or backgrounded tab doesn't lurch forward on return)
+      const deltaTime = Math.max(0, Math.min(MAX_FRAME_DELTA, timestamp - this.lastScrollTime));
       this.lastScrollTime = timestamp;
       
       // Calculate how many pixels to scroll this frame
       // speed is in px/sec, deltaTime is in ms, so convert: (px/sec) * (ms / 1000)
-      const pixelsThisFrame = (this.currentSpeed * deltaTime) / 1000;
+      const pixelsThisFrame = (this.getEffectiveSpeed() * deltaTime) / 1000;
+      
+      // Continue animation loop unless we paused or reached the end
+      if (this.advance(pixelsThisFrame, timestamp)) {
+        this.animationFrameId = requestAnimationFrame(this.scroll);
+      }
+    }
+    
+    // Jump ahead one step (e-ink mode), then schedule the next jump
+    jump() {
+      this.jumpTimeout = null;
       
-      // Advance target position
-      this.targetScrollPosition += pixelsThisFrame;
+      if (this.state !== 'SCROLLING') {
+        return;
+      }
+      
+      const timestamp = performance.now();
+      this.lastScrollTime = timestamp;
+      
+      if (this.advance(this.jumpStep, timestamp)) {
+        flashEinkScreen();
+        this.scheduleJump();
+      }
+    }
+    
+    // Schedule the next discrete jump from the current effective speed (e-ink mode)
+    scheduleJump() {
+      const { interval, step } = getEinkJumpTiming(this.getEffectiveSpeed());
+      this.jumpStep = step;
+      this.jumpTimeout = setTimeout(this.jump, interval);
+    }
+    
+    // Move the target position forward and run per-position checks
+    // Returns false if scrolling should not continue (end of page or smart pause)
+    advance(pixels, timestamp) {
+      // Advance target position (backward autoscroll moves toward the top)
+      this.targetScrollPosition += this.direction === 'forward' ? pixels : -pixels;
       
       // Refresh cached maxScrollTop every 500ms (handles lazy-loaded content, DOM changes)
       if (timestamp - this.lastMaxScrollCheck > 500) {
-        this.maxScrollTop = document.documentElement.scrollHeight - document.documentElement.clientHeight;
+        this.maxScrollTop = getMaxScrollPosition(this.scrollTarget, this.axis);
         this.lastMaxScrollCheck = timestamp;
       }
       
-      // Check if target has reached or exceeded bottom
-      if (this.targetScrollPosition >= this.maxScrollTop) {
+      // Re-sample on-screen text as new content scrolls into view (WPM/adaptive mode)
+      if ((this.isWpmMode() || this.isAdaptiveMode()) &&
+          timestamp - this.lastWordDensityCheck > WORD_DENSITY_REFRESH_INTERVAL) {
+        this.refreshViewportSample();
+        this.lastWordDensityCheck = timestamp;
+      }
+      
+      // Check if target has reached or exceeded bottom (forward only)
+      if (this.direction === 'forward' && this.targetScrollPosition >= this.maxScrollTop) {
         this.targetScrollPosition = this.maxScrollTop;
-        window.scrollTo({ top: this.maxScrollTop, left: 0, behavior: 'auto' });
-        this.stop();
-        handleReachedBottom();
-        return;
+        setScrollPosition(this.scrollTarget, this.maxScrollTop, this.axis);
+        this.animationFrameId = null;
+        this.handleEndOfContent();
+        return false;
       }
       
-      window.scrollTo({
-        top: this.targetScrollPosition,
-        left: 0,
-        behavior: 'auto'
-      });
+      // Check if target has reached or passed the top (backward only - a 0px forward frame at the top isn't the end)
+      if (this.direction === 'backward' && this.targetScrollPosition <= 0) {
+        this.targetScrollPosition = 0;
+        setScrollPosition(this.scrollTarget, 0, this.axis);
+        this.animationFrameId = null;
+        this.handleStartOfContent();
+        return false;
+      }
       
-      // Continue animation loop
-      this.animationFrameId = requestAnimationFrame(this.scroll);
+      // Keep the target in range for the other direction (e.g. content shrank under a backward scroll)
+      this.targetScrollPosition = Math.min(Math.max(this.targetScrollPosition, 0), this.maxScrollTop);
+      
+      setScrollPosition(this.scrollTarget, this.targetScrollPosition, this.axis);
+      
+      // Pause or slow at headings/images reaching the reading line
+      if (this.config.smartPauseEnabled &&
+          timestamp - this.lastSmartPauseCheck > SMART_PAUSE_CHECK_INTERVAL) {
+        this.lastSmartPauseCheck = timestamp;
+        if (this.checkSmartPause(timestamp)) {
+          return false;
+        }
+      }
+      
+      return true;
+    }
+    
+    // Check if we're at the start of the page (or scroll container) along the scroll axis
+    isAtTop() {
+      const target = this.scrollTarget || getScrollTarget();
+      const axis = this.scrollTarget ? this.axis : getScrollAxis();
+      
+      // Same "close enough" threshold as isAtBottom
+      return getScrollPosition(target, axis) <= 10;
     }
     
-    // Check if we're at the bottom of the page
+    // Check if we're at the end of the page (or scroll container) along the scroll axis
     isAtBottom() {
-      // Get scroll position - try multiple methods for cross-browser compatibility
-      const scrollTop = window.pageYOffset || window.scrollY || document.documentElement.scrollTop || document.body.scrollTop || 0;
+      const target = this.scrollTarget || getScrollTarget();
+      const axis = this.scrollTarget ? this.axis : getScrollAxis();
       
-      // Get document height - use document.documentElement for consistency
-      const scrollHeight = document.documentElement.scrollHeight;
+      // Get scroll position of the driven element
+      const scrollTop = getScrollPosition(target, axis);
       
-      // Get viewport height - use document.documentElement.clientHeight for consistency
+      // Max scroll uses clientHeight for consistency
       // (window.innerHeight includes address bar on mobile which causes issues)
-      const clientHeight = document.documentElement.clientHeight;
+      const maxScrollTop = getMaxScrollPosition(target, axis);
       
       // Use a threshold for "close enough to bottom"
       const threshold = 10;
       
       // Calculate how far we are from the bottom
-      const distanceFromBottom = scrollHeight - (scrollTop + clientHeight);
+      const distanceFromBottom = maxScrollTop - scrollTop;
       
       // Check if we're at bottom using the original formula
       const isAtBottom = distanceFromBottom <= threshold;
@@ -1437,6 +4433,247 @@
     }
   }
   
+  // ============================================================================
+  // READING PROGRESS BAR
+  // ============================================================================
+  
+  const PROGRESS_UPDATE_INTERVAL = 500; // milliseconds between progress bar refreshes
+  let sessionChapterCount = 0; // Chapters auto-navigated this autoscroll session (kept per tab by the background script)
+  let progressElement = null;
+  let progressFillElement = null;
+  let progressLabelElement = null;
+  let progressUpdateInterval = null;
+  
+  // Show/hide autoscroll overlays (progress bar, reading guide) as autoscroll starts, pauses and stops
+  function onAutoscrollStateChange(state) {
+    const isActive = state !== 'INACTIVE';
+    
+    if (isActive && settings.progressBarEnabled) {
+      showProgressBar();
+    } else {
+      hideProgressBar();
+    }
+    
+    if (isActive && settings.readingGuideEnabled) {
+      showReadingGuide();
+    } else {
+      hideReadingGuide();
+    }
+    
+    setNativePanBlocked(isActive);
+  }
+  
+  // Get the number of chapters (pages) auto-navigated this autoscroll session
+  function getSessionChapterCount() {
+    return sessionChapterCount;
+  }
+  
+  // Record one more chapter read this session
+  async function incrementSessionChapterCount() {
+    sessionChapterCount++;
+    
+    try {
+      await browser.runtime.sendMessage({ action: 'chapterNavigated' });
+    } catch (error) {
+      console.error('Failed to save chapter count:', error);
+    }
+  }
+  
+  // Autoscroll started - continue the chapter count when the start follows an auto-navigate,
+  // otherwise (started by the user) begin a new session
+  async function startChapterSession(continued) {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'startChapterSession',
+        continued: continued
+      });
+      
+      if (response && response.success) {
+        sessionChapterCount = response.chapterCount;
+      }
+    } catch (error) {
+      console.error('Failed to load chapter count:', error);
+    }
+  }
+  
+  // Create the progress bar (thin bar at the top with a small label)
+  function showProgressBar() {
+    if (!document.body) {
+      return;
+    }
+    
+    if (!progressElement || !progressElement.parentNode) {
+      progressElement = document.createElement('div');
+      progressElement.id = 'gesture-autoscroll-progress';
+      progressElement.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        height: 3px;
+        background: rgba(0, 0, 0, 0.15);
+        z-index: 2147483646;
+        pointer-events: none;
+      `;
+      
+      progressFillElement = document.createElement('div');
+      progressFillElement.style.cssText = `
+        height: 100%;
+        width: 0;
+        background: #667eea;
+        transition: width 0.5s linear;
+      `;
+      
+      progressLabelElement = document.createElement('div');
+      progressLabelElement.style.cssText = `
+        position: absolute;
+        top: 5px;
+        right: 6px;
+        background: rgba(50, 50, 50, 0.8);
+        color: white;
+        padding: 2px 8px;
+        border-radius: 10px;
+        font-size: 11px;
+        font-family: system-ui, -apple-system, sans-serif;
+        white-space: nowrap;
+      `;
+      
+      progressElement.appendChild(progressFillElement);
+      progressElement.appendChild(progressLabelElement);
+      document.body.appendChild(progressElement);
+    }
+    
+    updateProgressBar();
+    
+    // Poll instead of hooking every frame - also covers stepped/e-ink jumps and speed swipes
+    if (!progressUpdateInterval) {
+      progressUpdateInterval = setInterval(updateProgressBar, PROGRESS_UPDATE_INTERVAL);
+    }
+  }
+  
+  // Refresh percent read, time to end and chapter count
+  function updateProgressBar() {
+    if (!progressElement || !autoscroller || !autoscroller.isActive()) {
+      return;
+    }
+    
+    const progress = autoscroller.getProgress();
+    progressFillElement.style.width = `${(progress * 100).toFixed(1)}%`;
+    
+    const parts = [`${Math.floor(progress * 100)}%`];
+    
+    const secondsToEnd = autoscroller.getSecondsToEnd();
+    if (secondsToEnd !== null) {
+      parts.push(`${formatDuration(secondsToEnd)} left`);
+    }
+    
+    if (settings.autoNavigateEnabled) {
+      parts.push(`Ch. ${getSessionChapterCount() + 1}`);
+    }
+    
+    progressLabelElement.textContent = parts.join(' · ');
+  }
+  
+  // Remove the progress bar
+  function hideProgressBar() {
+    if (progressUpdateInterval) {
+      clearInterval(progressUpdateInterval);
+      progressUpdateInterval = null;
+    }
+    
+    if (progressElement) {
+      progressElement.remove();
+      progressElement = null;
+      progressFillElement = null;
+      progressLabelElement = null;
+    }
+  }
+  
+  // ============================================================================
+  // READING GUIDE (ruler line or focus band)
+  // ============================================================================
+  
+  let readingGuideElement = null;
+  
+  // Show the reading guide at the configured position (rebuilt so setting changes apply)
+  function showReadingGuide() {
+    hideReadingGuide();
+    
+    if (!document.body) {
+      return;
+    }
+    
+    // Guide runs across the scroll axis (horizontal line for vertical scrolling)
+    const isHorizontal = getScrollAxis() === 'horizontal';
+    const startEdge = isHorizontal ? 'left' : 'top';
+    const endEdge = isHorizontal ? 'right' : 'bottom';
+    const sizeProperty = isHorizontal ? 'width' : 'height';
+    const position = settings.readingGuidePosition;
+    const opacity = settings.readingGuideOpacity / 100;
+    
+    readingGuideElement = document.createElement('div');
+    readingGuideElement.id = 'gesture-autoscroll-reading-guide';
+    readingGuideElement.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      z-index: 2147483645;
+      pointer-events: none;
+    `;
+    
+    if (settings.readingGuideStyle === 'band') {
+      // Dim everything except a clear band centered on the guide position
+      const halfBand = settings.readingGuideHeight / 2;
+      const bandStart = Math.max(0, position - halfBand);
+      const bandEnd = Math.min(100, position + halfBand);
+      
+      const before = document.createElement('div');
+      before.style.cssText = `
+        position: absolute;
+        ${startEdge}: 0;
+        ${sizeProperty}: ${bandStart}%;
+        ${isHorizontal ? 'top: 0; bottom: 0;' : 'left: 0; right: 0;'}
+        background: rgba(0, 0, 0, ${opacity});
+      `;
+      
+      const after = document.createElement('div');
+      after.style.cssText = `
+        position: absolute;
+        ${endEdge}: 0;
+        ${sizeProperty}: ${100 - bandEnd}%;
+        ${isHorizontal ? 'top: 0; bottom: 0;' : 'left: 0; right: 0;'}
+        background: rgba(0, 0, 0, ${opacity});
+      `;
+      
+      readingGuideElement.appendChild(before);
+      readingGuideElement.appendChild(after);
+    } else {
+      // Thin ruler line text scrolls through, like a teleprompter cue
+      const line = document.createElement('div');
+      line.style.cssText = `
+        position: absolute;
+        ${startEdge}: ${position}%;
+        ${sizeProperty}: 2px;
+        ${isHorizontal ? 'top: 0; bottom: 0;' : 'left: 0; right: 0;'}
+        background: rgba(230, 60, 60, ${opacity});
+      `;
+      
+      readingGuideElement.appendChild(line);
+    }
+    
+    document.body.appendChild(readingGuideElement);
+  }
+  
+  // Remove the reading guide
+  function hideReadingGuide() {
+    if (readingGuideElement) {
+      readingGuideElement.remove();
+      readingGuideElement = null;
+    }
+  }
+  
   // ============================================================================
   // TOAST NOTIFICATIONS
   // ============================================================================
@@ -1454,6 +4691,11 @@
       toastTimeout = null;
     }
     
+    // A new message replaces the previous toast's tap action
+    if (toastTapResetTimeout) {
+      resetToastTap();
+    }
+    
     // Create toast element if it doesn't exist or was removed from DOM
     if (!toastElement || !toastElement.parentNode) {
       toastElement = document.createElement('div');
@@ -1516,6 +4758,36 @@
     }
   }
   
+  // Show a toast that runs onTap when tapped (click-through again once it hides)
+  function showTappableToast(message, onTap, duration) {
+    showToast(message, duration);
+    
+    if (toastElement) {
+      toastElement.style.cursor = 'pointer';
+      toastElement.style.pointerEvents = 'auto';
+      toastElement.onclick = () => {
+        resetToastTap();
+        hideToast();
+        onTap();
+      };
+    }
+    
+    clearTimeout(toastTapResetTimeout);
+    toastTapResetTimeout = setTimeout(resetToastTap, duration);
+  }
+  
+  // Make the toast click-through again
+  function resetToastTap() {
+    clearTimeout(toastTapResetTimeout);
+    toastTapResetTimeout = null;
+    
+    if (toastElement) {
+      toastElement.style.cursor = 'default';
+      toastElement.style.pointerEvents = 'none';
+      toastElement.onclick = null;
+    }
+  }
+  
   // ============================================================================
   // MESSAGE HANDLING
   // ============================================================================
@@ -1897,11 +5169,14 @@
     if (message.action === 'settingsUpdated' || message.action === 'configUpdated') {
       // Handle both legacy 'settingsUpdated' and new 'configUpdated' messages
       if (message.settings) {
-        settings = message.settings;
+        settings = { ...DEFAULT_SETTINGS, ...message.settings };
       } else if (message.config) {
-        settings = message.config;
+        settings = { ...DEFAULT_SETTINGS, ...message.config };
       }
       
+      // Scroll container selector may have changed
+      cachedScrollTarget = null;
+      
       // Re-check if extension should be active
       isHostWhitelisted().then(isWhitelisted => {
         if (isWhitelisted && !isExtensionActive) {
@@ -1909,6 +5184,9 @@
         } else if (!isWhitelisted && isExtensionActive) {
           deactivateExtension();
         } else if (isExtensionActive) {
+          // Double tap binding may have changed
+          updateDoubleTapClass();
+          
           // Update listeners based on new settings
           // Touch listeners needed if either tap navigation OR autoscroll is enabled
           if (settings.tapNavigationEnabled || settings.autoscrollEnabled) {
@@ -1916,6 +5194,19 @@
           } else {
             removeTouchListeners();
           }
+          
+          if (settings.rememberPositionEnabled) {
+            setupReadingPositionTracking();
+          } else {
+            removeReadingPositionTracking();
+          }
+          
+          // Keep screen on may have been switched off (or on) for this site mid-session
+          if (!settings.wakeLockEnabled) {
+            wakeLockManager.disable();
+          } else if (autoscroller && autoscroller.getState() === 'SCROLLING') {
+            wakeLockManager.enable();
+          }
         }
       });
     } else if (message.action === 'captureElementSelector') {
@@ -1958,6 +5249,54 @@
         });
       }
       return true;
+    } else if (message.action === 'startSleepTimer') {
+      // Start autoscroll with a session duration (from popup)
+      if (!isExtensionActive || !settings.autoscrollEnabled) {
+        sendResponse({ success: false, error: 'Autoscroll is not enabled on this page' });
+        return true;
+      }
+      
+      if (autoscroller && autoscroller.isActive()) {
+        startSleepTimer(message.minutes);
+      } else {
+        activateAutoscroll(message.minutes);
+      }
+      showToast(`Sleep timer: ${formatSleepTimerRemaining()} left`, 2000);
+      sendResponse({ success: true, remaining: getSleepTimerRemaining() });
+      return true;
+    } else if (message.action === 'extendSleepTimer') {
+      // Add time to the running sleep timer (from popup)
+      if (!autoscroller || !autoscroller.isActive()) {
+        sendResponse({ success: false, error: 'Autoscroll is not running on this page' });
+        return true;
+      }
+      
+      extendSleepTimer(message.minutes);
+      sendResponse({ success: true, remaining: getSleepTimerRemaining() });
+      return true;
+    } else if (message.action === 'cancelSleepTimer') {
+      cancelSleepTimer();
+      showToast('Sleep timer cancelled', 2000);
+      sendResponse({ success: true, remaining: null });
+      return true;
+    } else if (message.action === 'getSleepTimer') {
+      sendResponse({ success: true, remaining: getSleepTimerRemaining() });
+      return true;
+    } else if (message.action === 'runCommand') {
+      // Keyboard shortcut - runs the same actions as gestures
+      const action = COMMAND_ACTIONS[message.command];
+      if (!action) {
+        sendResponse({ success: false, error: 'Unknown command' });
+        return true;
+      }
+      
+      if (!isExtensionActive && !INACTIVE_SITE_ACTIONS.includes(action)) {
+        showToast('Add this site to whitelist first', 3000);
+      } else {
+        runAction(action);
+      }
+      sendResponse({ success: true });
+      return true;
     } else if (message.action === 'activateElementPicker') {
       // Activate element picker mode
       try {
@@ -1,6 +1,67 @@
 // Gesture AutoScroller - Options Page Script
 // Handles per-domain settings UI and storage with autosave
 
+// Default gesture -> action bindings per autoscroll state
+// idle = autoscroll not running, scrolling/paused = autoscroll active
+const DEFAULT_GESTURE_BINDINGS = {
+  idle: {
+    tap1: 'tapZones',
+    tap2: 'start',
+    tap3: 'toggleSite',
+    tap4: 'picker',
+    doubleTap: 'none',
+    longPress: 'none',
+    twoFingerSwipeUp: 'none',
+    twoFingerSwipeDown: 'none',
+    twoFingerSwipeLeft: 'none',
+    twoFingerSwipeRight: 'none',
+    edgeLeft: 'none',
+    edgeRight: 'none',
+    edgeTop: 'none',
+    edgeBottom: 'none'
+  },
+  scrolling: {
+    tap1: 'pause',
+    tap2: 'toggleDirection',
+    tap3: 'toggleSite',
+    tap4: 'picker',
+    doubleTap: 'none',
+    longPress: 'holdPause',
+    swipeUp: 'faster',
+    swipeDown: 'slower',
+    swipeLeft: 'stop',
+    swipeRight: 'stop',
+    twoFingerSwipeUp: 'none',
+    twoFingerSwipeDown: 'none',
+    twoFingerSwipeLeft: 'none',
+    twoFingerSwipeRight: 'none',
+    edgeLeft: 'none',
+    edgeRight: 'none',
+    edgeTop: 'none',
+    edgeBottom: 'none'
+  },
+  paused: {
+    tap1: 'resume',
+    tap2: 'resume',
+    tap3: 'toggleSite',
+    tap4: 'picker',
+    doubleTap: 'none',
+    longPress: 'none',
+    swipeUp: 'faster',
+    swipeDown: 'slower',
+    swipeLeft: 'stop',
+    swipeRight: 'stop',
+    twoFingerSwipeUp: 'none',
+    twoFingerSwipeDown: 'none',
+    twoFingerSwipeLeft: 'none',
+    twoFingerSwipeRight: 'none',
+    edgeLeft: 'none',
+    edgeRight: 'none',
+    edgeTop: 'none',
+    edgeBottom: 'none'
+  }
+};
+
 // Default configuration structure (per-domain)
 const DEFAULT_CONFIG = {
   tapNavigationEnabled: true,
@@ -11,9 +72,60 @@ const DEFAULT_CONFIG = {
   minSpeed: 1,           // px/sec
   maxSpeed: 3000,        // px/sec
   granularity: 10,       // px/sec
+  speedUnit: 'px',       // Options: 'px' (px/sec), 'wpm' (words per minute)
+  targetWpm: 250,        // words/min (used when speedUnit is 'wpm')
+  minWpm: 50,            // words/min
+  maxWpm: 1000,          // words/min
+  wpmGranularity: 10,    // words/min
+  autoscrollMode: 'continuous', // Options: 'continuous' (smooth scrolling), 'stepped' (timed page turns), 'readAloud' (text-to-speech)
+  steppedInterval: 10,          // Seconds between page turns in stepped mode
+  minSteppedInterval: 2,        // seconds
+  maxSteppedInterval: 120,      // seconds
+  steppedGranularity: 1,        // seconds
+  ttsVoice: '',                 // voiceURI of the read aloud voice ('' = browser default)
+  ttsRate: 1,                   // Speech rate in read aloud mode (0.5-3x)
+  ttsRateGranularity: 0.1,      // Speech rate change per speed adjustment
+  adaptiveSpeedEnabled: false, // Speed up through sparse regions, slow down over dense text
+  adaptiveSpeedStrength: 50,   // How strongly density affects speed (10-100%)
+  smartPauseEnabled: false,    // Pause or slow down when marked elements reach the reading line
+  smartPauseSelectors: 'h1, h2, h3, figure, img', // Comma-separated CSS selectors
+  smartPauseAction: 'pause',   // Options: 'pause', 'slow'
+  smartPauseDuration: 3,       // Seconds to pause/slow (0 = stay paused until tap)
+  smartPauseLinePercentage: 30, // Reading line position (% from top/left of viewport)
+  endOfPageGracePeriod: 3,     // Seconds to wait for more content at the bottom (0 = stop immediately)
+  sleepTimerMinutes: 0,        // Stop autoscroll after this many minutes (0 = no timer)
+  sleepTimerExtendMinutes: 10, // Minutes added when extending the sleep timer
+  einkModeEnabled: false,      // Instant paging and discrete autoscroll jumps for e-ink screens
+  einkFlashEnabled: false,     // Flash black/white after each jump to clear ghosting
+  autoPauseEnabled: true,      // Pause autoscroll when the tab is hidden, loses focus or a text field is focused
+  autoResumeEnabled: false,    // Resume automatically once the page is back in view and focused
+  wakeLockEnabled: true,       // Keep the screen on while autoscrolling
+  wakeLockIdleTimeout: 5,      // Minutes paused before the screen may sleep again (0 = keep on while paused)
+  rememberPositionEnabled: true, // Remember reading position per URL and offer to resume
+  progressBarEnabled: false,   // Show progress bar with time-to-end while autoscrolling
+  readingGuideEnabled: false,  // Show a reading guide overlay while autoscrolling
+  readingGuideStyle: 'line',   // Options: 'line' (ruler line), 'band' (dimmed mask with clear band)
+  readingGuidePosition: 33,    // Guide position (% from top/left of viewport)
+  readingGuideHeight: 15,      // Clear band size (% of viewport, band style only)
+  readingGuideOpacity: 50,     // Line/mask opacity (10-90%)
   tapScrollPercentage: 100,   // Percentage of viewport height to scroll (10-100%)
   tapZoneLayout: 'horizontal', // Options: 'horizontal', 'vertical'
   tapZoneUpPercentage: 50,    // Size of scroll-up zone (10-90%)
+  scrollAxis: 'vertical',     // Options: 'vertical', 'horizontal' (side-scrolling readers)
+  scrollContainerSelector: '', // CSS selector of the element to scroll ('' = auto-detect)
+  longPressDuration: 500,     // Milliseconds a finger must be held still for a long press
+  doubleTapWindow: 300,       // Milliseconds to wait for a second tap (only when double tap is bound)
+  tapMaxDuration: 200,        // Longest touch that still counts as a tap (ms)
+  tapMaxMovement: 10,         // Most a finger may move during a tap (px)
+  swipeMinDistance: 50,       // Shortest movement that counts as a swipe (px)
+  speedAdjustmentDistance: 30, // Finger travel per speed step when swiping faster/slower (px)
+  pinchSpeedEnabled: true,    // Pinch out/in with two fingers while autoscrolling to raise/lower speed
+  touchGesturesEnabled: true, // Recognize gestures from fingers
+  penGesturesEnabled: true,   // Recognize gestures from a stylus
+  mouseGesturesEnabled: true, // Recognize gestures from a mouse (clicks, drags, wheel activation)
+  edgeSwipeWidth: 30,         // Width of the band along each screen edge where edge swipes start (px)
+  edgeSwipeSystemInset: 24,   // Left/right strip left to Android's back gesture (px)
+  gestureBindings: DEFAULT_GESTURE_BINDINGS, // Gesture -> action per state (idle, scrolling, paused)
   
   // Auto-navigate settings (per-domain)
   autoNavigateEnabled: false,           // Enable/disable for this domain
@@ -90,6 +202,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Cache DOM elements
   cacheElements();
   
+  // Build gesture binding editor rows (before the UI is filled in)
+  buildGestureBindingEditor();
+  
   // Setup tab switching
   setupTabs();
   
@@ -120,6 +235,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load current page info (if available)
   loadCurrentPageInfo();
   
+  // Setup sleep timer controls for the active tab
+  setupSleepTimerControls();
+  
+  // Fill read aloud voice list
+  setupTtsVoices();
+  
+  // Keyboard shortcut editor (desktop only)
+  setupKeyboardShortcuts();
+  
   // Initialize auto-navigate feature (after settings are loaded)
   initAutoNavigate();
   
@@ -207,6 +331,7 @@ function cacheElements() {
     domainSelector3: document.getElementById('domainSelector3'),
     domainSelector4: document.getElementById('domainSelector4'),
     domainSelector5: document.getElementById('domainSelector5'),
+    domainSelector6: document.getElementById('domainSelector6'),
     
     // Feature toggles
     tapNavigationEnabled: document.getElementById('tapNavigationEnabled'),
@@ -218,6 +343,10 @@ function cacheElements() {
     tapZoneLayoutHorizontal: document.getElementById('tapZoneLayoutHorizontal'),
     tapZoneLayoutVertical: document.getElementById('tapZoneLayoutVertical'),
     
+    // Scroll axis
+    scrollAxisVertical: document.getElementById('scrollAxisVertical'),
+    scrollAxisHorizontal: document.getElementById('scrollAxisHorizontal'),
+    
     // Speed sliders
     defaultSpeed: document.getElementById('defaultSpeed'),
     minSpeed: document.getElementById('minSpeed'),
@@ -227,6 +356,102 @@ function cacheElements() {
     tapScrollPercentage: document.getElementById('tapScrollPercentage'),
     tapZoneUpPercentage: document.getElementById('tapZoneUpPercentage'),
     
+    // Speed unit
+    speedUnitPx: document.getElementById('speedUnitPx'),
+    speedUnitWpm: document.getElementById('speedUnitWpm'),
+    
+    // Words-per-minute sliders
+    targetWpm: document.getElementById('targetWpm'),
+    minWpm: document.getElementById('minWpm'),
+    maxWpm: document.getElementById('maxWpm'),
+    wpmGranularity: document.getElementById('wpmGranularity'),
+    
+    // Autoscroll mode (continuous / timed page turn / read aloud)
+    autoscrollModeContinuous: document.getElementById('autoscrollModeContinuous'),
+    autoscrollModeStepped: document.getElementById('autoscrollModeStepped'),
+    autoscrollModeReadAloud: document.getElementById('autoscrollModeReadAloud'),
+    steppedInterval: document.getElementById('steppedInterval'),
+    steppedIntervalInput: document.getElementById('steppedIntervalInput'),
+    minSteppedInterval: document.getElementById('minSteppedInterval'),
+    minSteppedIntervalInput: document.getElementById('minSteppedIntervalInput'),
+    maxSteppedInterval: document.getElementById('maxSteppedInterval'),
+    maxSteppedIntervalInput: document.getElementById('maxSteppedIntervalInput'),
+    steppedGranularity: document.getElementById('steppedGranularity'),
+    steppedGranularityInput: document.getElementById('steppedGranularityInput'),
+    steppedSection: document.getElementById('steppedSection'),
+    
+    // Read aloud
+    readAloudSection: document.getElementById('readAloudSection'),
+    ttsVoice: document.getElementById('ttsVoice'),
+    ttsRate: document.getElementById('ttsRate'),
+    ttsRateInput: document.getElementById('ttsRateInput'),
+    ttsRateGranularity: document.getElementById('ttsRateGranularity'),
+    ttsRateGranularityInput: document.getElementById('ttsRateGranularityInput'),
+    
+    // Adaptive speed
+    adaptiveSpeedEnabled: document.getElementById('adaptiveSpeedEnabled'),
+    adaptiveSpeedStrength: document.getElementById('adaptiveSpeedStrength'),
+    adaptiveSpeedStrengthInput: document.getElementById('adaptiveSpeedStrengthInput'),
+    adaptiveSpeedStrengthGroup: document.getElementById('adaptiveSpeedStrengthGroup'),
+    
+    // Smart pause
+    smartPauseEnabled: document.getElementById('smartPauseEnabled'),
+    smartPauseSettings: document.getElementById('smartPauseSettings'),
+    smartPauseSelectors: document.getElementById('smartPauseSelectors'),
+    smartPauseActionPause: document.getElementById('smartPauseActionPause'),
+    smartPauseActionSlow: document.getElementById('smartPauseActionSlow'),
+    smartPauseDuration: document.getElementById('smartPauseDuration'),
+    smartPauseDurationInput: document.getElementById('smartPauseDurationInput'),
+    smartPauseLinePercentage: document.getElementById('smartPauseLinePercentage'),
+    smartPauseLinePercentageInput: document.getElementById('smartPauseLinePercentageInput'),
+    
+    // Reading guide
+    readingGuideEnabled: document.getElementById('readingGuideEnabled'),
+    readingGuideSettings: document.getElementById('readingGuideSettings'),
+    readingGuideStyleLine: document.getElementById('readingGuideStyleLine'),
+    readingGuideStyleBand: document.getElementById('readingGuideStyleBand'),
+    readingGuidePosition: document.getElementById('readingGuidePosition'),
+    readingGuidePositionInput: document.getElementById('readingGuidePositionInput'),
+    readingGuideHeight: document.getElementById('readingGuideHeight'),
+    readingGuideHeightInput: document.getElementById('readingGuideHeightInput'),
+    readingGuideHeightGroup: document.getElementById('readingGuideHeightGroup'),
+    readingGuideOpacity: document.getElementById('readingGuideOpacity'),
+    readingGuideOpacityInput: document.getElementById('readingGuideOpacityInput'),
+    
+    // End of page
+    endOfPageGracePeriod: document.getElementById('endOfPageGracePeriod'),
+    endOfPageGracePeriodInput: document.getElementById('endOfPageGracePeriodInput'),
+    
+    // Reading position
+    rememberPositionEnabled: document.getElementById('rememberPositionEnabled'),
+    progressBarEnabled: document.getElementById('progressBarEnabled'),
+    
+    // E-ink display
+    einkModeEnabled: document.getElementById('einkModeEnabled'),
+    einkFlashEnabled: document.getElementById('einkFlashEnabled'),
+    einkFlashGroup: document.getElementById('einkFlashGroup'),
+    
+    // Auto-pause
+    autoPauseEnabled: document.getElementById('autoPauseEnabled'),
+    autoResumeEnabled: document.getElementById('autoResumeEnabled'),
+    autoResumeGroup: document.getElementById('autoResumeGroup'),
+    
+    // Wake lock
+    wakeLockEnabled: document.getElementById('wakeLockEnabled'),
+    wakeLockIdleGroup: document.getElementById('wakeLockIdleGroup'),
+    wakeLockIdleTimeout: document.getElementById('wakeLockIdleTimeout'),
+    wakeLockIdleTimeoutInput: document.getElementById('wakeLockIdleTimeoutInput'),
+    
+    // Sleep timer
+    sleepTimerMinutes: document.getElementById('sleepTimerMinutes'),
+    sleepTimerMinutesInput: document.getElementById('sleepTimerMinutesInput'),
+    sleepTimerExtendMinutes: document.getElementById('sleepTimerExtendMinutes'),
+    sleepTimerExtendMinutesInput: document.getElementById('sleepTimerExtendMinutesInput'),
+    btnStartSleepTimer: document.getElementById('btnStartSleepTimer'),
+    btnExtendSleepTimer: document.getElementById('btnExtendSleepTimer'),
+    btnCancelSleepTimer: document.getElementById('btnCancelSleepTimer'),
+    sleepTimerStatus: document.getElementById('sleepTimerStatus'),
+    
     // Speed value displays (removed - no longer needed)
     
     // Speed input fields
@@ -238,12 +463,55 @@ function cacheElements() {
     tapScrollPercentageInput: document.getElementById('tapScrollPercentageInput'),
     tapZoneUpPercentageInput: document.getElementById('tapZoneUpPercentageInput'),
     
+    // Words-per-minute input fields
+    targetWpmInput: document.getElementById('targetWpmInput'),
+    minWpmInput: document.getElementById('minWpmInput'),
+    maxWpmInput: document.getElementById('maxWpmInput'),
+    wpmGranularityInput: document.getElementById('wpmGranularityInput'),
+    
     // Zone preview elements
     zoneSplitPreview: document.getElementById('zoneSplitPreview'),
     zoneSplitDescription: document.getElementById('zoneSplitDescription'),
     
+    // Scroll container
+    scrollContainerSelector: document.getElementById('scrollContainerSelector'),
+    
+    // Long press
+    longPressDuration: document.getElementById('longPressDuration'),
+    longPressDurationInput: document.getElementById('longPressDurationInput'),
+    
+    // Input devices
+    touchGesturesEnabled: document.getElementById('touchGesturesEnabled'),
+    penGesturesEnabled: document.getElementById('penGesturesEnabled'),
+    mouseGesturesEnabled: document.getElementById('mouseGesturesEnabled'),
+    
+    // Gesture sensitivity
+    tapMaxDuration: document.getElementById('tapMaxDuration'),
+    tapMaxDurationInput: document.getElementById('tapMaxDurationInput'),
+    tapMaxMovement: document.getElementById('tapMaxMovement'),
+    tapMaxMovementInput: document.getElementById('tapMaxMovementInput'),
+    swipeMinDistance: document.getElementById('swipeMinDistance'),
+    swipeMinDistanceInput: document.getElementById('swipeMinDistanceInput'),
+    speedAdjustmentDistance: document.getElementById('speedAdjustmentDistance'),
+    speedAdjustmentDistanceInput: document.getElementById('speedAdjustmentDistanceInput'),
+    btnCalibrateGestures: document.getElementById('btnCalibrateGestures'),
+    
+    // Pinch speed
+    pinchSpeedEnabled: document.getElementById('pinchSpeedEnabled'),
+    
+    // Double tap
+    doubleTapWindow: document.getElementById('doubleTapWindow'),
+    doubleTapWindowInput: document.getElementById('doubleTapWindowInput'),
+    
+    // Edge swipes
+    edgeSwipeWidth: document.getElementById('edgeSwipeWidth'),
+    edgeSwipeWidthInput: document.getElementById('edgeSwipeWidthInput'),
+    edgeSwipeSystemInset: document.getElementById('edgeSwipeSystemInset'),
+    edgeSwipeSystemInsetInput: document.getElementById('edgeSwipeSystemInsetInput'),
+    
     // Sections
     autoStartSection: document.getElementById('autoStartSection'),
+    wpmSection: document.getElementById('wpmSection'),
     
     // Auto-navigate elements
     autoNavigateDelay: document.getElementById('autoNavigateDelay'),
@@ -429,7 +697,8 @@ async function switchToDomain(hostname) {
     elements.domainSelector2,
     elements.domainSelector3,
     elements.domainSelector4,
-    elements.domainSelector5
+    elements.domainSelector5,
+    elements.domainSelector6
   ].filter(s => s);
   
   selectors.forEach(selector => {
@@ -444,7 +713,8 @@ function setupDomainSelectorSync() {
     elements.domainSelector2,
     elements.domainSelector3,
     elements.domainSelector4,
-    elements.domainSelector5
+    elements.domainSelector5,
+    elements.domainSelector6
   ].filter(s => s);  // Filter out null/undefined
   
   selectors.forEach(selector => {
@@ -467,7 +737,8 @@ function updateDomainSelector() {
     elements.domainSelector2,
     elements.domainSelector3,
     elements.domainSelector4,
-    elements.domainSelector5
+    elements.domainSelector5,
+    elements.domainSelector6
   ].filter(s => s);  // Filter out null/undefined
   
   selectors.forEach(selector => {
@@ -501,6 +772,13 @@ function updateUI() {
     elements.tapZoneLayoutVertical.checked = true;
   }
   
+  // Scroll axis
+  if (currentConfig.scrollAxis === 'horizontal') {
+    elements.scrollAxisHorizontal.checked = true;
+  } else {
+    elements.scrollAxisVertical.checked = true;
+  }
+  
   // Speed settings - update both sliders and inputs
   elements.defaultSpeed.value = currentConfig.defaultSpeed;
   if (elements.defaultSpeedInput) elements.defaultSpeedInput.value = currentConfig.defaultSpeed;
@@ -514,6 +792,114 @@ function updateUI() {
   elements.granularity.value = currentConfig.granularity;
   if (elements.granularityInput) elements.granularityInput.value = currentConfig.granularity;
   
+  // Speed unit and words-per-minute settings
+  if (currentConfig.speedUnit === 'wpm') {
+    elements.speedUnitWpm.checked = true;
+  } else {
+    elements.speedUnitPx.checked = true;
+  }
+  
+  elements.targetWpm.value = currentConfig.targetWpm ?? DEFAULT_CONFIG.targetWpm;
+  if (elements.targetWpmInput) elements.targetWpmInput.value = elements.targetWpm.value;
+  
+  elements.minWpm.value = currentConfig.minWpm ?? DEFAULT_CONFIG.minWpm;
+  if (elements.minWpmInput) elements.minWpmInput.value = elements.minWpm.value;
+  
+  elements.maxWpm.value = currentConfig.maxWpm ?? DEFAULT_CONFIG.maxWpm;
+  if (elements.maxWpmInput) elements.maxWpmInput.value = elements.maxWpm.value;
+  
+  elements.wpmGranularity.value = currentConfig.wpmGranularity ?? DEFAULT_CONFIG.wpmGranularity;
+  if (elements.wpmGranularityInput) elements.wpmGranularityInput.value = elements.wpmGranularity.value;
+  
+  // Autoscroll mode and timed page turn settings
+  if (currentConfig.autoscrollMode === 'stepped') {
+    elements.autoscrollModeStepped.checked = true;
+  } else if (currentConfig.autoscrollMode === 'readAloud') {
+    elements.autoscrollModeReadAloud.checked = true;
+  } else {
+    elements.autoscrollModeContinuous.checked = true;
+  }
+  
+  // Read aloud settings
+  setTtsVoiceSelection(currentConfig.ttsVoice ?? DEFAULT_CONFIG.ttsVoice);
+  elements.ttsRate.value = currentConfig.ttsRate ?? DEFAULT_CONFIG.ttsRate;
+  if (elements.ttsRateInput) elements.ttsRateInput.value = elements.ttsRate.value;
+  elements.ttsRateGranularity.value = currentConfig.ttsRateGranularity ?? DEFAULT_CONFIG.ttsRateGranularity;
+  if (elements.ttsRateGranularityInput) elements.ttsRateGranularityInput.value = elements.ttsRateGranularity.value;
+  
+  elements.steppedInterval.value = currentConfig.steppedInterval ?? DEFAULT_CONFIG.steppedInterval;
+  if (elements.steppedIntervalInput) elements.steppedIntervalInput.value = elements.steppedInterval.value;
+  
+  elements.minSteppedInterval.value = currentConfig.minSteppedInterval ?? DEFAULT_CONFIG.minSteppedInterval;
+  if (elements.minSteppedIntervalInput) elements.minSteppedIntervalInput.value = elements.minSteppedInterval.value;
+  
+  elements.maxSteppedInterval.value = currentConfig.maxSteppedInterval ?? DEFAULT_CONFIG.maxSteppedInterval;
+  if (elements.maxSteppedIntervalInput) elements.maxSteppedIntervalInput.value = elements.maxSteppedInterval.value;
+  
+  elements.steppedGranularity.value = currentConfig.steppedGranularity ?? DEFAULT_CONFIG.steppedGranularity;
+  if (elements.steppedGranularityInput) elements.steppedGranularityInput.value = elements.steppedGranularity.value;
+  
+  // Adaptive speed settings
+  elements.adaptiveSpeedEnabled.checked = currentConfig.adaptiveSpeedEnabled ?? DEFAULT_CONFIG.adaptiveSpeedEnabled;
+  elements.adaptiveSpeedStrength.value = currentConfig.adaptiveSpeedStrength ?? DEFAULT_CONFIG.adaptiveSpeedStrength;
+  if (elements.adaptiveSpeedStrengthInput) elements.adaptiveSpeedStrengthInput.value = elements.adaptiveSpeedStrength.value;
+  
+  // Smart pause settings
+  elements.smartPauseEnabled.checked = currentConfig.smartPauseEnabled ?? DEFAULT_CONFIG.smartPauseEnabled;
+  elements.smartPauseSelectors.value = currentConfig.smartPauseSelectors ?? DEFAULT_CONFIG.smartPauseSelectors;
+  if (currentConfig.smartPauseAction === 'slow') {
+    elements.smartPauseActionSlow.checked = true;
+  } else {
+    elements.smartPauseActionPause.checked = true;
+  }
+  elements.smartPauseDuration.value = currentConfig.smartPauseDuration ?? DEFAULT_CONFIG.smartPauseDuration;
+  if (elements.smartPauseDurationInput) elements.smartPauseDurationInput.value = elements.smartPauseDuration.value;
+  elements.smartPauseLinePercentage.value = currentConfig.smartPauseLinePercentage ?? DEFAULT_CONFIG.smartPauseLinePercentage;
+  if (elements.smartPauseLinePercentageInput) elements.smartPauseLinePercentageInput.value = elements.smartPauseLinePercentage.value;
+  
+  // Reading guide settings
+  elements.readingGuideEnabled.checked = currentConfig.readingGuideEnabled ?? DEFAULT_CONFIG.readingGuideEnabled;
+  if (currentConfig.readingGuideStyle === 'band') {
+    elements.readingGuideStyleBand.checked = true;
+  } else {
+    elements.readingGuideStyleLine.checked = true;
+  }
+  elements.readingGuidePosition.value = currentConfig.readingGuidePosition ?? DEFAULT_CONFIG.readingGuidePosition;
+  if (elements.readingGuidePositionInput) elements.readingGuidePositionInput.value = elements.readingGuidePosition.value;
+  elements.readingGuideHeight.value = currentConfig.readingGuideHeight ?? DEFAULT_CONFIG.readingGuideHeight;
+  if (elements.readingGuideHeightInput) elements.readingGuideHeightInput.value = elements.readingGuideHeight.value;
+  elements.readingGuideOpacity.value = currentConfig.readingGuideOpacity ?? DEFAULT_CONFIG.readingGuideOpacity;
+  if (elements.readingGuideOpacityInput) elements.readingGuideOpacityInput.value = elements.readingGuideOpacity.value;
+  
+  // End of page grace period
+  elements.endOfPageGracePeriod.value = currentConfig.endOfPageGracePeriod ?? DEFAULT_CONFIG.endOfPageGracePeriod;
+  if (elements.endOfPageGracePeriodInput) elements.endOfPageGracePeriodInput.value = elements.endOfPageGracePeriod.value;
+  
+  // Reading position
+  elements.rememberPositionEnabled.checked = currentConfig.rememberPositionEnabled ?? DEFAULT_CONFIG.rememberPositionEnabled;
+  
+  // Progress bar
+  elements.progressBarEnabled.checked = currentConfig.progressBarEnabled ?? DEFAULT_CONFIG.progressBarEnabled;
+  
+  // E-ink settings
+  elements.einkModeEnabled.checked = currentConfig.einkModeEnabled ?? DEFAULT_CONFIG.einkModeEnabled;
+  elements.einkFlashEnabled.checked = currentConfig.einkFlashEnabled ?? DEFAULT_CONFIG.einkFlashEnabled;
+  
+  // Auto-pause settings
+  elements.autoPauseEnabled.checked = currentConfig.autoPauseEnabled ?? DEFAULT_CONFIG.autoPauseEnabled;
+  elements.autoResumeEnabled.checked = currentConfig.autoResumeEnabled ?? DEFAULT_CONFIG.autoResumeEnabled;
+  
+  // Wake lock settings
+  elements.wakeLockEnabled.checked = currentConfig.wakeLockEnabled ?? DEFAULT_CONFIG.wakeLockEnabled;
+  elements.wakeLockIdleTimeout.value = currentConfig.wakeLockIdleTimeout ?? DEFAULT_CONFIG.wakeLockIdleTimeout;
+  if (elements.wakeLockIdleTimeoutInput) elements.wakeLockIdleTimeoutInput.value = elements.wakeLockIdleTimeout.value;
+  
+  // Sleep timer settings
+  elements.sleepTimerMinutes.value = currentConfig.sleepTimerMinutes ?? DEFAULT_CONFIG.sleepTimerMinutes;
+  if (elements.sleepTimerMinutesInput) elements.sleepTimerMinutesInput.value = elements.sleepTimerMinutes.value;
+  elements.sleepTimerExtendMinutes.value = currentConfig.sleepTimerExtendMinutes ?? DEFAULT_CONFIG.sleepTimerExtendMinutes;
+  if (elements.sleepTimerExtendMinutesInput) elements.sleepTimerExtendMinutesInput.value = elements.sleepTimerExtendMinutes.value;
+  
   elements.autoStartDelay.value = currentConfig.autoStartDelay;
   if (elements.autoStartDelayInput) elements.autoStartDelayInput.value = currentConfig.autoStartDelay;
   
@@ -523,12 +909,77 @@ function updateUI() {
   elements.tapZoneUpPercentage.value = currentConfig.tapZoneUpPercentage;
   if (elements.tapZoneUpPercentageInput) elements.tapZoneUpPercentageInput.value = currentConfig.tapZoneUpPercentage;
   
+  // Scroll container selector
+  if (elements.scrollContainerSelector) {
+    elements.scrollContainerSelector.value = currentConfig.scrollContainerSelector || '';
+  }
+  
   // Update zone split preview
   updateZoneSplitPreview();
   
   // Show/hide auto-start section based on checkbox
   updateAutoStartSectionVisibility();
   
+  // Show/hide words-per-minute section based on speed unit
+  updateWpmSectionVisibility();
+  
+  // Show/hide e-ink flash option based on checkbox
+  updateEinkFlashVisibility();
+  
+  // Show/hide auto-resume option based on auto-pause checkbox
+  updateAutoResumeVisibility();
+  
+  // Show/hide wake lock idle timeout based on checkbox
+  updateWakeLockVisibility();
+  
+  // Show/hide timed page turn and read aloud sections based on autoscroll mode
+  updateSteppedSectionVisibility();
+  updateReadAloudSectionVisibility();
+  
+  // Gesture bindings editor
+  updateGestureBindingsUI();
+  
+  // Long press settings
+  elements.longPressDuration.value = currentConfig.longPressDuration ?? DEFAULT_CONFIG.longPressDuration;
+  if (elements.longPressDurationInput) elements.longPressDurationInput.value = elements.longPressDuration.value;
+  
+  // Input device settings
+  elements.touchGesturesEnabled.checked = currentConfig.touchGesturesEnabled ?? DEFAULT_CONFIG.touchGesturesEnabled;
+  elements.penGesturesEnabled.checked = currentConfig.penGesturesEnabled ?? DEFAULT_CONFIG.penGesturesEnabled;
+  elements.mouseGesturesEnabled.checked = currentConfig.mouseGesturesEnabled ?? DEFAULT_CONFIG.mouseGesturesEnabled;
+  
+  // Gesture sensitivity settings
+  elements.tapMaxDuration.value = currentConfig.tapMaxDuration ?? DEFAULT_CONFIG.tapMaxDuration;
+  if (elements.tapMaxDurationInput) elements.tapMaxDurationInput.value = elements.tapMaxDuration.value;
+  elements.tapMaxMovement.value = currentConfig.tapMaxMovement ?? DEFAULT_CONFIG.tapMaxMovement;
+  if (elements.tapMaxMovementInput) elements.tapMaxMovementInput.value = elements.tapMaxMovement.value;
+  elements.swipeMinDistance.value = currentConfig.swipeMinDistance ?? DEFAULT_CONFIG.swipeMinDistance;
+  if (elements.swipeMinDistanceInput) elements.swipeMinDistanceInput.value = elements.swipeMinDistance.value;
+  elements.speedAdjustmentDistance.value = currentConfig.speedAdjustmentDistance ?? DEFAULT_CONFIG.speedAdjustmentDistance;
+  if (elements.speedAdjustmentDistanceInput) elements.speedAdjustmentDistanceInput.value = elements.speedAdjustmentDistance.value;
+  
+  // Pinch speed settings
+  elements.pinchSpeedEnabled.checked = currentConfig.pinchSpeedEnabled ?? DEFAULT_CONFIG.pinchSpeedEnabled;
+  
+  // Double tap settings
+  elements.doubleTapWindow.value = currentConfig.doubleTapWindow ?? DEFAULT_CONFIG.doubleTapWindow;
+  if (elements.doubleTapWindowInput) elements.doubleTapWindowInput.value = elements.doubleTapWindow.value;
+  
+  // Edge swipe settings
+  elements.edgeSwipeWidth.value = currentConfig.edgeSwipeWidth ?? DEFAULT_CONFIG.edgeSwipeWidth;
+  if (elements.edgeSwipeWidthInput) elements.edgeSwipeWidthInput.value = elements.edgeSwipeWidth.value;
+  elements.edgeSwipeSystemInset.value = currentConfig.edgeSwipeSystemInset ?? DEFAULT_CONFIG.edgeSwipeSystemInset;
+  if (elements.edgeSwipeSystemInsetInput) elements.edgeSwipeSystemInsetInput.value = elements.edgeSwipeSystemInset.value;
+  
+  // Show/hide adaptive strength based on checkbox
+  updateAdaptiveSpeedVisibility();
+  
+  // Show/hide smart pause options based on checkbox
+  updateSmartPauseVisibility();
+  
+  // Show/hide reading guide options based on checkbox and style
+  updateReadingGuideVisibility();
+  
   // Auto-navigate settings
   const autoNavigateEnabled = document.getElementById('autoNavigateEnabled');
   const autoNavigateDelay = document.getElementById('autoNavigateDelay');
@@ -593,6 +1044,82 @@ function updateAutoStartSectionVisibility() {
   }
 }
 
+// Update words-per-minute section visibility
+function updateWpmSectionVisibility() {
+  if (elements.wpmSection) {
+    elements.wpmSection.style.display = 
+      elements.speedUnitWpm.checked ? 'block' : 'none';
+  }
+}
+
+// Update e-ink flash option visibility
+function updateEinkFlashVisibility() {
+  if (elements.einkFlashGroup) {
+    elements.einkFlashGroup.style.display = 
+      elements.einkModeEnabled.checked ? 'flex' : 'none';
+  }
+}
+
+// Update auto-resume option visibility
+function updateAutoResumeVisibility() {
+  if (elements.autoResumeGroup) {
+    elements.autoResumeGroup.style.display = 
+      elements.autoPauseEnabled.checked ? 'flex' : 'none';
+  }
+}
+
+// Update wake lock idle timeout visibility
+function updateWakeLockVisibility() {
+  if (elements.wakeLockIdleGroup) {
+    elements.wakeLockIdleGroup.style.display = 
+      elements.wakeLockEnabled.checked ? 'block' : 'none';
+  }
+}
+
+// Update timed page turn section visibility
+function updateSteppedSectionVisibility() {
+  if (elements.steppedSection) {
+    elements.steppedSection.style.display = 
+      elements.autoscrollModeStepped.checked ? 'block' : 'none';
+  }
+}
+
+// Update read aloud section visibility
+function updateReadAloudSectionVisibility() {
+  if (elements.readAloudSection) {
+    elements.readAloudSection.style.display = 
+      elements.autoscrollModeReadAloud.checked ? 'block' : 'none';
+  }
+}
+
+// Update adaptive speed strength visibility
+function updateAdaptiveSpeedVisibility() {
+  if (elements.adaptiveSpeedStrengthGroup) {
+    elements.adaptiveSpeedStrengthGroup.style.display = 
+      elements.adaptiveSpeedEnabled.checked ? 'block' : 'none';
+  }
+}
+
+// Update reading guide settings visibility (band height only applies to focus band)
+function updateReadingGuideVisibility() {
+  if (elements.readingGuideSettings) {
+    elements.readingGuideSettings.style.display = 
+      elements.readingGuideEnabled.checked ? 'block' : 'none';
+  }
+  if (elements.readingGuideHeightGroup) {
+    elements.readingGuideHeightGroup.style.display = 
+      elements.readingGuideStyleBand.checked ? 'block' : 'none';
+  }
+}
+
+// Update smart pause settings visibility
+function updateSmartPauseVisibility() {
+  if (elements.smartPauseSettings) {
+    elements.smartPauseSettings.style.display = 
+      elements.smartPauseEnabled.checked ? 'block' : 'none';
+  }
+}
+
 // Switch to a different domain's configuration
 async function switchDomain(hostname, skipSave = false) {
   // Save current config before switching (unless explicitly skipped)
@@ -656,6 +1183,34 @@ function setupEventListeners() {
   setupSliderSync('autoStartDelay', 'autoStartDelayInput');
   setupSliderSync('tapScrollPercentage', 'tapScrollPercentageInput');
   setupSliderSync('tapZoneUpPercentage', 'tapZoneUpPercentageInput');
+  setupSliderSync('targetWpm', 'targetWpmInput');
+  setupSliderSync('minWpm', 'minWpmInput');
+  setupSliderSync('maxWpm', 'maxWpmInput');
+  setupSliderSync('wpmGranularity', 'wpmGranularityInput');
+  setupSliderSync('steppedInterval', 'steppedIntervalInput');
+  setupSliderSync('ttsRate', 'ttsRateInput');
+  setupSliderSync('ttsRateGranularity', 'ttsRateGranularityInput');
+  setupSliderSync('minSteppedInterval', 'minSteppedIntervalInput');
+  setupSliderSync('maxSteppedInterval', 'maxSteppedIntervalInput');
+  setupSliderSync('steppedGranularity', 'steppedGranularityInput');
+  setupSliderSync('adaptiveSpeedStrength', 'adaptiveSpeedStrengthInput');
+  setupSliderSync('smartPauseDuration', 'smartPauseDurationInput');
+  setupSliderSync('smartPauseLinePercentage', 'smartPauseLinePercentageInput');
+  setupSliderSync('endOfPageGracePeriod', 'endOfPageGracePeriodInput');
+  setupSliderSync('readingGuidePosition', 'readingGuidePositionInput');
+  setupSliderSync('readingGuideHeight', 'readingGuideHeightInput');
+  setupSliderSync('readingGuideOpacity', 'readingGuideOpacityInput');
+  setupSliderSync('sleepTimerMinutes', 'sleepTimerMinutesInput');
+  setupSliderSync('wakeLockIdleTimeout', 'wakeLockIdleTimeoutInput');
+  setupSliderSync('sleepTimerExtendMinutes', 'sleepTimerExtendMinutesInput');
+  setupSliderSync('longPressDuration', 'longPressDurationInput');
+  setupSliderSync('tapMaxDuration', 'tapMaxDurationInput');
+  setupSliderSync('tapMaxMovement', 'tapMaxMovementInput');
+  setupSliderSync('swipeMinDistance', 'swipeMinDistanceInput');
+  setupSliderSync('speedAdjustmentDistance', 'speedAdjustmentDistanceInput');
+  setupSliderSync('doubleTapWindow', 'doubleTapWindowInput');
+  setupSliderSync('edgeSwipeWidth', 'edgeSwipeWidthInput');
+  setupSliderSync('edgeSwipeSystemInset', 'edgeSwipeSystemInsetInput');
   
   // Feature toggles - autosave on change
   elements.tapNavigationEnabled.addEventListener('change', () => {
@@ -688,6 +1243,15 @@ function setupEventListeners() {
     autoSaveSettings();
   });
   
+  // Scroll axis - autosave on change
+  elements.scrollAxisVertical.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  elements.scrollAxisHorizontal.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
   // Tap zone size - update preview and autosave
   elements.tapZoneUpPercentage.addEventListener('input', () => {
     updateZoneSplitPreview();
@@ -763,140 +1327,566 @@ function setupEventListeners() {
     });
   }
   
-  // Add host button
-  elements.btnAddHost.addEventListener('click', addHost);
+  // Speed unit - autosave on change and show matching settings
+  elements.speedUnitPx.addEventListener('change', () => {
+    updateWpmSectionVisibility();
+    autoSaveSettings();
+  });
   
-  // Enter key in host input
-  elements.hostInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
-      addHost();
-    }
+  elements.speedUnitWpm.addEventListener('change', () => {
+    updateWpmSectionVisibility();
+    autoSaveSettings();
   });
   
-  // Add current site button
-  elements.btnAddCurrent.addEventListener('click', addCurrentSite);
-}
-
-// Add host to whitelist
-async function addHost() {
-  const input = elements.hostInput;
-  const host = input.value.trim().toLowerCase();
+  // Words-per-minute sliders and inputs - autosave with debounce
+  elements.targetWpm.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
   
-  if (!host) {
-    showStatusMessage('Please enter a host name', 'error');
-    return;
+  elements.minWpm.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  elements.maxWpm.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  elements.wpmGranularity.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.targetWpmInput) {
+    elements.targetWpmInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
   }
   
-  // Basic validation
-  if (!isValidHost(host)) {
-    showStatusMessage('Invalid host name. Use format: example.com', 'error');
-    return;
+  if (elements.minWpmInput) {
+    elements.minWpmInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
   }
   
-  // Check for duplicates
-  if (whitelist.includes(host)) {
-    showStatusMessage('Host already in whitelist', 'error');
-    return;
+  if (elements.maxWpmInput) {
+    elements.maxWpmInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
   }
   
-  try {
-    // Set flag to prevent storage listener from reloading
-    isSaving = true;
-    saveTimestamp = Date.now();
-    
-    try {
-      // Add to whitelist via background script
-      const response = await browser.runtime.sendMessage({
-        action: 'addToWhitelist',
-        hostname: host
-      });
-      
-      if (response && response.success) {
-        // Update local state
-        whitelist.push(host);
-        whitelist.sort();
-        
-        // Add domain config for new host (copy from default)
-        if (!domainConfigs[host]) {
-          domainConfigs[host] = { ...defaultConfig };
-        }
-        
-        // Update UI
-        updateDomainSelector();
-        renderWhitelist();
-        input.value = '';
-        
-        // Update current page status if it matches
-        updateCurrentPageStatus();
-        
-        showStatusMessage(`Added ${host}`, 'success');
-      } else {
-        showStatusMessage('Failed to add host', 'error');
-      }
-    } finally {
-      // Clear flag after storage operations complete
-      setTimeout(() => {
-        isSaving = false;
-      }, 100);
-    }
-  } catch (error) {
-    console.error('Failed to add host:', error);
-    showStatusMessage('Failed to add host', 'error');
-    isSaving = false;
+  if (elements.wpmGranularityInput) {
+    elements.wpmGranularityInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
   }
-}
-
-// Remove host from whitelist
-async function removeHost(host) {
-  try {
-    // Set flag to prevent storage listener from reloading
-    isSaving = true;
-    saveTimestamp = Date.now();
-    
-    try {
-      const response = await browser.runtime.sendMessage({
-        action: 'removeFromWhitelist',
-        hostname: host
-      });
-      
-      if (response && response.success) {
-        // Update local state
-        whitelist = whitelist.filter(h => h !== host);
-        
-        // Update UI
-        updateDomainSelector();
-        renderWhitelist();
-        
-        // Update current page status
-        updateCurrentPageStatus();
-        
-        // If we're currently viewing this domain's config, switch to default
-        if (currentDomain === host) {
-          elements.domainSelector.value = '__default__';
-          await switchDomain('__default__');
-        }
-        
-        showStatusMessage(`Removed ${host}`, 'success');
-      } else {
-        showStatusMessage('Failed to remove host', 'error');
-      }
-    } finally {
-      // Clear flag after storage operations complete
-      setTimeout(() => {
-        isSaving = false;
-      }, 100);
-    }
-  } catch (error) {
-    console.error('Failed to remove host:', error);
-    showStatusMessage('Failed to remove host', 'error');
-    isSaving = false;
+  
+  // Autoscroll mode - autosave on change and show matching settings
+  elements.autoscrollModeContinuous.addEventListener('change', () => {
+    updateSteppedSectionVisibility();
+    updateReadAloudSectionVisibility();
+    autoSaveSettings();
+  });
+  
+  elements.autoscrollModeStepped.addEventListener('change', () => {
+    updateSteppedSectionVisibility();
+    updateReadAloudSectionVisibility();
+    autoSaveSettings();
+  });
+  
+  elements.autoscrollModeReadAloud.addEventListener('change', () => {
+    updateSteppedSectionVisibility();
+    updateReadAloudSectionVisibility();
+    autoSaveSettings();
+  });
+  
+  // Read aloud voice and rate - autosave (rate sliders with debounce)
+  elements.ttsVoice.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  elements.ttsRate.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.ttsRateInput) {
+    elements.ttsRateInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
   }
-}
-
-// Validate host format
-function isValidHost(host) {
-  // Basic validation: should look like a domain
-  // Allow alphanumeric, dots, hyphens
+  
+  elements.ttsRateGranularity.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.ttsRateGranularityInput) {
+    elements.ttsRateGranularityInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Timed page turn sliders and inputs - autosave with debounce
+  elements.steppedInterval.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  elements.minSteppedInterval.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  elements.maxSteppedInterval.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  elements.steppedGranularity.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.steppedIntervalInput) {
+    elements.steppedIntervalInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  if (elements.minSteppedIntervalInput) {
+    elements.minSteppedIntervalInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  if (elements.maxSteppedIntervalInput) {
+    elements.maxSteppedIntervalInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  if (elements.steppedGranularityInput) {
+    elements.steppedGranularityInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Adaptive speed - autosave on change/input
+  elements.adaptiveSpeedEnabled.addEventListener('change', () => {
+    updateAdaptiveSpeedVisibility();
+    autoSaveSettings();
+  });
+  
+  elements.adaptiveSpeedStrength.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.adaptiveSpeedStrengthInput) {
+    elements.adaptiveSpeedStrengthInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Smart pause - autosave on change/input
+  elements.smartPauseEnabled.addEventListener('change', () => {
+    updateSmartPauseVisibility();
+    autoSaveSettings();
+  });
+  
+  elements.smartPauseSelectors.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  elements.smartPauseActionPause.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  elements.smartPauseActionSlow.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  elements.smartPauseDuration.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.smartPauseDurationInput) {
+    elements.smartPauseDurationInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  elements.smartPauseLinePercentage.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.smartPauseLinePercentageInput) {
+    elements.smartPauseLinePercentageInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Reading guide - autosave on change/input
+  elements.readingGuideEnabled.addEventListener('change', () => {
+    updateReadingGuideVisibility();
+    autoSaveSettings();
+  });
+  
+  elements.readingGuideStyleLine.addEventListener('change', () => {
+    updateReadingGuideVisibility();
+    autoSaveSettings();
+  });
+  
+  elements.readingGuideStyleBand.addEventListener('change', () => {
+    updateReadingGuideVisibility();
+    autoSaveSettings();
+  });
+  
+  elements.readingGuidePosition.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  elements.readingGuideHeight.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  elements.readingGuideOpacity.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.readingGuidePositionInput) {
+    elements.readingGuidePositionInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  if (elements.readingGuideHeightInput) {
+    elements.readingGuideHeightInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  if (elements.readingGuideOpacityInput) {
+    elements.readingGuideOpacityInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // End of page grace period - autosave with debounce
+  elements.endOfPageGracePeriod.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.endOfPageGracePeriodInput) {
+    elements.endOfPageGracePeriodInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Reading position - autosave on change
+  elements.rememberPositionEnabled.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  // Progress bar - autosave on change
+  elements.progressBarEnabled.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  // E-ink mode - autosave on change
+  elements.einkModeEnabled.addEventListener('change', () => {
+    updateEinkFlashVisibility();
+    autoSaveSettings();
+  });
+  
+  elements.einkFlashEnabled.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  // Auto-pause - autosave on change
+  elements.autoPauseEnabled.addEventListener('change', () => {
+    updateAutoResumeVisibility();
+    autoSaveSettings();
+  });
+  
+  elements.autoResumeEnabled.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  // Wake lock - autosave on change, debounce idle timeout
+  elements.wakeLockEnabled.addEventListener('change', () => {
+    updateWakeLockVisibility();
+    autoSaveSettings();
+  });
+  
+  elements.wakeLockIdleTimeout.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.wakeLockIdleTimeoutInput) {
+    elements.wakeLockIdleTimeoutInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Sleep timer - autosave with debounce
+  elements.sleepTimerMinutes.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.sleepTimerMinutesInput) {
+    elements.sleepTimerMinutesInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  elements.sleepTimerExtendMinutes.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.sleepTimerExtendMinutesInput) {
+    elements.sleepTimerExtendMinutesInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Scroll container selector - autosave with debounce
+  if (elements.scrollContainerSelector) {
+    elements.scrollContainerSelector.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Long press duration - autosave with debounce
+  elements.longPressDuration.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.longPressDurationInput) {
+    elements.longPressDurationInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Input devices - autosave on change
+  elements.touchGesturesEnabled.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  elements.penGesturesEnabled.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  elements.mouseGesturesEnabled.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  // Gesture sensitivity - autosave with debounce
+  elements.tapMaxDuration.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.tapMaxDurationInput) {
+    elements.tapMaxDurationInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  elements.tapMaxMovement.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.tapMaxMovementInput) {
+    elements.tapMaxMovementInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  elements.swipeMinDistance.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.swipeMinDistanceInput) {
+    elements.swipeMinDistanceInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  elements.speedAdjustmentDistance.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.speedAdjustmentDistanceInput) {
+    elements.speedAdjustmentDistanceInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  elements.btnCalibrateGestures.addEventListener('click', openCalibrationModal);
+  
+  // Pinch speed - autosave on change
+  elements.pinchSpeedEnabled.addEventListener('change', () => {
+    autoSaveSettings();
+  });
+  
+  // Double tap window - autosave with debounce
+  elements.doubleTapWindow.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.doubleTapWindowInput) {
+    elements.doubleTapWindowInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Edge swipe band - autosave with debounce
+  elements.edgeSwipeWidth.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.edgeSwipeWidthInput) {
+    elements.edgeSwipeWidthInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  elements.edgeSwipeSystemInset.addEventListener('input', () => {
+    debouncedAutoSave();
+  });
+  
+  if (elements.edgeSwipeSystemInsetInput) {
+    elements.edgeSwipeSystemInsetInput.addEventListener('input', () => {
+      debouncedAutoSave();
+    });
+  }
+  
+  // Add host button
+  elements.btnAddHost.addEventListener('click', addHost);
+  
+  // Enter key in host input
+  elements.hostInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      addHost();
+    }
+  });
+  
+  // Add current site button
+  elements.btnAddCurrent.addEventListener('click', addCurrentSite);
+}
+
+// Add host to whitelist
+async function addHost() {
+  const input = elements.hostInput;
+  const host = input.value.trim().toLowerCase();
+  
+  if (!host) {
+    showStatusMessage('Please enter a host name', 'error');
+    return;
+  }
+  
+  // Basic validation
+  if (!isValidHost(host)) {
+    showStatusMessage('Invalid host name. Use format: example.com', 'error');
+    return;
+  }
+  
+  // Check for duplicates
+  if (whitelist.includes(host)) {
+    showStatusMessage('Host already in whitelist', 'error');
+    return;
+  }
+  
+  try {
+    // Set flag to prevent storage listener from reloading
+    isSaving = true;
+    saveTimestamp = Date.now();
+    
+    try {
+      // Add to whitelist via background script
+      const response = await browser.runtime.sendMessage({
+        action: 'addToWhitelist',
+        hostname: host
+      });
+      
+      if (response && response.success) {
+        // Update local state
+        whitelist.push(host);
+        whitelist.sort();
+        
+        // Add domain config for new host (copy from default)
+        if (!domainConfigs[host]) {
+          domainConfigs[host] = { ...defaultConfig };
+        }
+        
+        // Update UI
+        updateDomainSelector();
+        renderWhitelist();
+        input.value = '';
+        
+        // Update current page status if it matches
+        updateCurrentPageStatus();
+        
+        showStatusMessage(`Added ${host}`, 'success');
+      } else {
+        showStatusMessage('Failed to add host', 'error');
+      }
+    } finally {
+      // Clear flag after storage operations complete
+      setTimeout(() => {
+        isSaving = false;
+      }, 100);
+    }
+  } catch (error) {
+    console.error('Failed to add host:', error);
+    showStatusMessage('Failed to add host', 'error');
+    isSaving = false;
+  }
+}
+
+// Remove host from whitelist
+async function removeHost(host) {
+  try {
+    // Set flag to prevent storage listener from reloading
+    isSaving = true;
+    saveTimestamp = Date.now();
+    
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'removeFromWhitelist',
+        hostname: host
+      });
+      
+      if (response && response.success) {
+        // Update local state
+        whitelist = whitelist.filter(h => h !== host);
+        
+        // Update UI
+        updateDomainSelector();
+        renderWhitelist();
+        
+        // Update current page status
+        updateCurrentPageStatus();
+        
+        // If we're currently viewing this domain's config, switch to default
+        if (currentDomain === host) {
+          elements.domainSelector.value = '__default__';
+          await switchDomain('__default__');
+        }
+        
+        showStatusMessage(`Removed ${host}`, 'success');
+      } else {
+        showStatusMessage('Failed to remove host', 'error');
+      }
+    } finally {
+      // Clear flag after storage operations complete
+      setTimeout(() => {
+        isSaving = false;
+      }, 100);
+    }
+  } catch (error) {
+    console.error('Failed to remove host:', error);
+    showStatusMessage('Failed to remove host', 'error');
+    isSaving = false;
+  }
+}
+
+// Validate host format
+function isValidHost(host) {
+  // Basic validation: should look like a domain
+  // Allow alphanumeric, dots, hyphens
   const hostRegex = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
   return hostRegex.test(host);
 }
@@ -1099,17 +2089,51 @@ async function saveCurrentConfig() {
     // Read current values from UI
     const config = readConfigFromUI();
     
-    // Validate speed settings silently
-    if (config.minSpeed > config.defaultSpeed) {
-      return; // Don't save, speeds are invalid
+    // Validate speed settings silently
+    if (config.minSpeed > config.defaultSpeed) {
+      return; // Don't save, speeds are invalid
+    }
+    
+    if (config.defaultSpeed > config.maxSpeed) {
+      return; // Don't save, speeds are invalid
+    }
+    
+    if (config.minSpeed >= config.maxSpeed) {
+      return; // Don't save, speeds are invalid
+    }
+    
+    if (config.minWpm > config.targetWpm || config.targetWpm > config.maxWpm) {
+      return; // Don't save, reading speeds are invalid
+    }
+    
+    if (config.minSteppedInterval > config.steppedInterval || config.steppedInterval > config.maxSteppedInterval) {
+      return; // Don't save, page turn intervals are invalid
+    }
+    
+    if (!(config.ttsRate >= 0.5 && config.ttsRate <= 3) || !(config.ttsRateGranularity > 0)) {
+      return; // Don't save, speech rate is invalid
+    }
+    
+    if (!(config.longPressDuration >= 300 && config.longPressDuration <= 1500)) {
+      return; // Don't save, long press duration is invalid
     }
     
-    if (config.defaultSpeed > config.maxSpeed) {
-      return; // Don't save, speeds are invalid
+    if (!(config.doubleTapWindow >= 150 && config.doubleTapWindow <= 600)) {
+      return; // Don't save, double tap window is invalid
     }
     
-    if (config.minSpeed >= config.maxSpeed) {
-      return; // Don't save, speeds are invalid
+    if (!(config.tapMaxDuration > 0) || !(config.tapMaxMovement > 0) ||
+        !(config.swipeMinDistance > config.tapMaxMovement) || !(config.speedAdjustmentDistance > 0)) {
+      return; // Don't save, gesture thresholds are invalid
+    }
+    
+    if (!(config.tapMaxDuration < config.longPressDuration)) {
+      return; // Don't save, a slow tap would turn into a long press
+    }
+    
+    if (!(config.edgeSwipeWidth >= 10 && config.edgeSwipeWidth <= 80) ||
+        !(config.edgeSwipeSystemInset >= 0 && config.edgeSwipeSystemInset <= 60)) {
+      return; // Don't save, edge swipe band is invalid
     }
     
     // Update current config in memory
@@ -1181,6 +2205,118 @@ function readConfigFromUI() {
     parseFloat(elements.granularityInput.value) : 
     parseFloat(elements.granularity.value);
   
+  const targetWpm = elements.targetWpmInput ? 
+    parseFloat(elements.targetWpmInput.value) : 
+    parseFloat(elements.targetWpm.value);
+  
+  const minWpm = elements.minWpmInput ? 
+    parseFloat(elements.minWpmInput.value) : 
+    parseFloat(elements.minWpm.value);
+  
+  const maxWpm = elements.maxWpmInput ? 
+    parseFloat(elements.maxWpmInput.value) : 
+    parseFloat(elements.maxWpm.value);
+  
+  const wpmGranularity = elements.wpmGranularityInput ? 
+    parseFloat(elements.wpmGranularityInput.value) : 
+    parseFloat(elements.wpmGranularity.value);
+  
+  const steppedInterval = elements.steppedIntervalInput ? 
+    parseFloat(elements.steppedIntervalInput.value) : 
+    parseFloat(elements.steppedInterval.value);
+  
+  const minSteppedInterval = elements.minSteppedIntervalInput ? 
+    parseFloat(elements.minSteppedIntervalInput.value) : 
+    parseFloat(elements.minSteppedInterval.value);
+  
+  const maxSteppedInterval = elements.maxSteppedIntervalInput ? 
+    parseFloat(elements.maxSteppedIntervalInput.value) : 
+    parseFloat(elements.maxSteppedInterval.value);
+  
+  const steppedGranularity = elements.steppedGranularityInput ? 
+    parseFloat(elements.steppedGranularityInput.value) : 
+    parseFloat(elements.steppedGranularity.value);
+  
+  const adaptiveSpeedStrength = elements.adaptiveSpeedStrengthInput ? 
+    parseFloat(elements.adaptiveSpeedStrengthInput.value) : 
+    parseFloat(elements.adaptiveSpeedStrength.value);
+  
+  const smartPauseDuration = elements.smartPauseDurationInput ? 
+    parseFloat(elements.smartPauseDurationInput.value) : 
+    parseFloat(elements.smartPauseDuration.value);
+  
+  const smartPauseLinePercentage = elements.smartPauseLinePercentageInput ? 
+    parseFloat(elements.smartPauseLinePercentageInput.value) : 
+    parseFloat(elements.smartPauseLinePercentage.value);
+  
+  const readingGuidePosition = elements.readingGuidePositionInput ? 
+    parseFloat(elements.readingGuidePositionInput.value) : 
+    parseFloat(elements.readingGuidePosition.value);
+  
+  const readingGuideHeight = elements.readingGuideHeightInput ? 
+    parseFloat(elements.readingGuideHeightInput.value) : 
+    parseFloat(elements.readingGuideHeight.value);
+  
+  const readingGuideOpacity = elements.readingGuideOpacityInput ? 
+    parseFloat(elements.readingGuideOpacityInput.value) : 
+    parseFloat(elements.readingGuideOpacity.value);
+  
+  const endOfPageGracePeriod = elements.endOfPageGracePeriodInput ? 
+    parseFloat(elements.endOfPageGracePeriodInput.value) : 
+    parseFloat(elements.endOfPageGracePeriod.value);
+  
+  const wakeLockIdleTimeout = elements.wakeLockIdleTimeoutInput ? 
+    parseFloat(elements.wakeLockIdleTimeoutInput.value) : 
+    parseFloat(elements.wakeLockIdleTimeout.value);
+  
+  const longPressDuration = elements.longPressDurationInput ? 
+    parseFloat(elements.longPressDurationInput.value) : 
+    parseFloat(elements.longPressDuration.value);
+  
+  const tapMaxDuration = elements.tapMaxDurationInput ? 
+    parseFloat(elements.tapMaxDurationInput.value) : 
+    parseFloat(elements.tapMaxDuration.value);
+  
+  const tapMaxMovement = elements.tapMaxMovementInput ? 
+    parseFloat(elements.tapMaxMovementInput.value) : 
+    parseFloat(elements.tapMaxMovement.value);
+  
+  const swipeMinDistance = elements.swipeMinDistanceInput ? 
+    parseFloat(elements.swipeMinDistanceInput.value) : 
+    parseFloat(elements.swipeMinDistance.value);
+  
+  const speedAdjustmentDistance = elements.speedAdjustmentDistanceInput ? 
+    parseFloat(elements.speedAdjustmentDistanceInput.value) : 
+    parseFloat(elements.speedAdjustmentDistance.value);
+  
+  const doubleTapWindow = elements.doubleTapWindowInput ? 
+    parseFloat(elements.doubleTapWindowInput.value) : 
+    parseFloat(elements.doubleTapWindow.value);
+  
+  const edgeSwipeWidth = elements.edgeSwipeWidthInput ? 
+    parseFloat(elements.edgeSwipeWidthInput.value) : 
+    parseFloat(elements.edgeSwipeWidth.value);
+  
+  const edgeSwipeSystemInset = elements.edgeSwipeSystemInsetInput ? 
+    parseFloat(elements.edgeSwipeSystemInsetInput.value) : 
+    parseFloat(elements.edgeSwipeSystemInset.value);
+  
+  const ttsRate = elements.ttsRateInput ? 
+    parseFloat(elements.ttsRateInput.value) : 
+    parseFloat(elements.ttsRate.value);
+  
+  const ttsRateGranularity = elements.ttsRateGranularityInput ? 
+    parseFloat(elements.ttsRateGranularityInput.value) : 
+    parseFloat(elements.ttsRateGranularity.value);
+  
+  const sleepTimerMinutes = elements.sleepTimerMinutesInput ? 
+    parseFloat(elements.sleepTimerMinutesInput.value) : 
+    parseFloat(elements.sleepTimerMinutes.value);
+  
+  const sleepTimerExtendMinutes = elements.sleepTimerExtendMinutesInput ? 
+    parseFloat(elements.sleepTimerExtendMinutesInput.value) : 
+    parseFloat(elements.sleepTimerExtendMinutes.value);
+  
   const tapScrollPercentage = elements.tapScrollPercentageInput ? 
     parseFloat(elements.tapScrollPercentageInput.value) : 
     parseFloat(elements.tapScrollPercentage.value);
@@ -1192,6 +2328,9 @@ function readConfigFromUI() {
   // Get tap zone layout
   const tapZoneLayout = elements.tapZoneLayoutHorizontal.checked ? 'horizontal' : 'vertical';
   
+  // Get scroll axis
+  const scrollAxis = elements.scrollAxisHorizontal.checked ? 'horizontal' : 'vertical';
+  
   // Get auto-navigate settings
   const autoNavigateEnabled = document.getElementById('autoNavigateEnabled');
   const autoNavigateDelay = document.getElementById('autoNavigateDelayValue') || document.getElementById('autoNavigateDelay');
@@ -1223,9 +2362,61 @@ function readConfigFromUI() {
     minSpeed: minSpeed,
     maxSpeed: maxSpeed,
     granularity: granularity,
+    speedUnit: elements.speedUnitWpm.checked ? 'wpm' : 'px',
+    targetWpm: targetWpm,
+    minWpm: minWpm,
+    maxWpm: maxWpm,
+    wpmGranularity: wpmGranularity,
+    autoscrollMode: elements.autoscrollModeReadAloud.checked ? 'readAloud' :
+      (elements.autoscrollModeStepped.checked ? 'stepped' : 'continuous'),
+    steppedInterval: steppedInterval,
+    minSteppedInterval: minSteppedInterval,
+    maxSteppedInterval: maxSteppedInterval,
+    steppedGranularity: steppedGranularity,
+    gestureBindings: readGestureBindingsFromUI(),
+    longPressDuration: longPressDuration,
+    doubleTapWindow: doubleTapWindow,
+    tapMaxDuration: tapMaxDuration,
+    tapMaxMovement: tapMaxMovement,
+    swipeMinDistance: swipeMinDistance,
+    speedAdjustmentDistance: speedAdjustmentDistance,
+    pinchSpeedEnabled: elements.pinchSpeedEnabled.checked,
+    touchGesturesEnabled: elements.touchGesturesEnabled.checked,
+    penGesturesEnabled: elements.penGesturesEnabled.checked,
+    mouseGesturesEnabled: elements.mouseGesturesEnabled.checked,
+    edgeSwipeWidth: edgeSwipeWidth,
+    edgeSwipeSystemInset: edgeSwipeSystemInset,
+    ttsVoice: elements.ttsVoice.value,
+    ttsRate: ttsRate,
+    ttsRateGranularity: ttsRateGranularity,
+    adaptiveSpeedEnabled: elements.adaptiveSpeedEnabled.checked,
+    adaptiveSpeedStrength: adaptiveSpeedStrength,
+    smartPauseEnabled: elements.smartPauseEnabled.checked,
+    smartPauseSelectors: elements.smartPauseSelectors.value.trim() || DEFAULT_CONFIG.smartPauseSelectors,
+    smartPauseAction: elements.smartPauseActionSlow.checked ? 'slow' : 'pause',
+    smartPauseDuration: smartPauseDuration,
+    smartPauseLinePercentage: smartPauseLinePercentage,
+    readingGuideEnabled: elements.readingGuideEnabled.checked,
+    readingGuideStyle: elements.readingGuideStyleBand.checked ? 'band' : 'line',
+    readingGuidePosition: readingGuidePosition,
+    readingGuideHeight: readingGuideHeight,
+    readingGuideOpacity: readingGuideOpacity,
+    endOfPageGracePeriod: endOfPageGracePeriod,
+    sleepTimerMinutes: sleepTimerMinutes,
+    rememberPositionEnabled: elements.rememberPositionEnabled.checked,
+    progressBarEnabled: elements.progressBarEnabled.checked,
+    einkModeEnabled: elements.einkModeEnabled.checked,
+    einkFlashEnabled: elements.einkFlashEnabled.checked,
+    autoPauseEnabled: elements.autoPauseEnabled.checked,
+    autoResumeEnabled: elements.autoResumeEnabled.checked,
+    wakeLockEnabled: elements.wakeLockEnabled.checked,
+    wakeLockIdleTimeout: wakeLockIdleTimeout,
+    sleepTimerExtendMinutes: sleepTimerExtendMinutes,
     tapScrollPercentage: tapScrollPercentage,
     tapZoneLayout: tapZoneLayout,
     tapZoneUpPercentage: tapZoneUpPercentage,
+    scrollAxis: scrollAxis,
+    scrollContainerSelector: elements.scrollContainerSelector ? elements.scrollContainerSelector.value.trim() : '',
     autoNavigateEnabled: autoNavigateEnabled ? autoNavigateEnabled.checked : currentConfig.autoNavigateEnabled,
     autoNavigateDelay: autoNavigateDelay ? parseFloat(autoNavigateDelay.value) : currentConfig.autoNavigateDelay,
     autoNavigateAutoStart: autoNavigateAutoStart ? autoNavigateAutoStart.checked : currentConfig.autoNavigateAutoStart,
@@ -1585,6 +2776,621 @@ function showTestResult(message, type) {
   }
 }
 
+// ============================================================================
+// GESTURE BINDINGS EDITOR
+// ============================================================================
+
+// Display names of the recognized gestures
+const GESTURE_LABELS = {
+  tap1: 'One-finger tap',
+  tap2: 'Two-finger tap',
+  tap3: 'Three-finger tap',
+  tap4: 'Four-finger tap',
+  doubleTap: 'Double tap',
+  longPress: 'Long press',
+  swipeUp: 'Swipe up',
+  swipeDown: 'Swipe down',
+  swipeLeft: 'Swipe left',
+  swipeRight: 'Swipe right',
+  twoFingerSwipeUp: 'Two-finger swipe up',
+  twoFingerSwipeDown: 'Two-finger swipe down',
+  twoFingerSwipeLeft: 'Two-finger swipe left',
+  twoFingerSwipeRight: 'Two-finger swipe right',
+  edgeLeft: 'Swipe in from left edge',
+  edgeRight: 'Swipe in from right edge',
+  edgeTop: 'Swipe in from top edge',
+  edgeBottom: 'Swipe in from bottom edge'
+};
+
+// Display names of the actions a gesture can be bound to (in dropdown order)
+const GESTURE_ACTION_LABELS = {
+  none: 'Do nothing',
+  start: 'Start / resume autoscroll',
+  pause: 'Pause',
+  resume: 'Resume',
+  pauseResume: 'Pause / resume',
+  holdPause: 'Pause while held',
+  stop: 'Stop autoscroll',
+  toggleAutoscroll: 'Start / stop autoscroll',
+  faster: 'Faster',
+  slower: 'Slower',
+  toggleDirection: 'Reverse direction',
+  pageUp: 'Page up',
+  pageDown: 'Page down',
+  jumpTop: 'Jump to top',
+  jumpBottom: 'Jump to bottom',
+  nextChapter: 'Next chapter',
+  previousChapter: 'Previous chapter',
+  tapZones: 'Page up/down by tap zone',
+  toggleSite: 'Enable/disable on this site',
+  picker: 'Pick next-page button'
+};
+
+// Binding contexts and the container each editor is built in
+const GESTURE_CONTEXT_CONTAINERS = {
+  idle: 'gestureBindingsIdle',
+  scrolling: 'gestureBindingsScrolling',
+  paused: 'gestureBindingsPaused'
+};
+
+// Create one dropdown per gesture and context
+// Gestures offered per context are the ones in DEFAULT_GESTURE_BINDINGS
+function buildGestureBindingEditor() {
+  elements.gestureBindingSelects = {};
+  
+  Object.keys(GESTURE_CONTEXT_CONTAINERS).forEach(context => {
+    const container = document.getElementById(GESTURE_CONTEXT_CONTAINERS[context]);
+    if (!container) {
+      return;
+    }
+    
+    elements.gestureBindingSelects[context] = {};
+    
+    Object.keys(DEFAULT_GESTURE_BINDINGS[context]).forEach(gesture => {
+      const row = document.createElement('div');
+      row.className = 'binding-row';
+      
+      const label = document.createElement('label');
+      label.htmlFor = `binding-${context}-${gesture}`;
+      label.textContent = GESTURE_LABELS[gesture] || gesture;
+      
+      const select = document.createElement('select');
+      select.id = `binding-${context}-${gesture}`;
+      Object.keys(GESTURE_ACTION_LABELS).forEach(action => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = GESTURE_ACTION_LABELS[action];
+        select.appendChild(option);
+      });
+      
+      select.addEventListener('change', () => {
+        autoSaveSettings();
+      });
+      
+      row.appendChild(label);
+      row.appendChild(select);
+      container.appendChild(row);
+      
+      elements.gestureBindingSelects[context][gesture] = select;
+    });
+  });
+  
+  const resetButton = document.getElementById('btnResetGestureBindings');
+  if (resetButton) {
+    resetButton.addEventListener('click', () => {
+      setGestureBindingsUI(DEFAULT_GESTURE_BINDINGS);
+      autoSaveSettings();
+    });
+  }
+}
+
+// Show bindings in the editor (missing gestures fall back to the defaults)
+function setGestureBindingsUI(bindings) {
+  Object.keys(elements.gestureBindingSelects || {}).forEach(context => {
+    const selects = elements.gestureBindingSelects[context];
+    Object.keys(selects).forEach(gesture => {
+      selects[gesture].value = bindings?.[context]?.[gesture] ?? DEFAULT_GESTURE_BINDINGS[context][gesture];
+    });
+  });
+}
+
+// Update the editor from the current domain config
+function updateGestureBindingsUI() {
+  setGestureBindingsUI(currentConfig.gestureBindings ?? DEFAULT_CONFIG.gestureBindings);
+}
+
+// Read bindings from the editor
+function readGestureBindingsFromUI() {
+  const bindings = {};
+  
+  Object.keys(DEFAULT_GESTURE_BINDINGS).forEach(context => {
+    bindings[context] = { ...DEFAULT_GESTURE_BINDINGS[context] };
+    const selects = (elements.gestureBindingSelects || {})[context] || {};
+    Object.keys(selects).forEach(gesture => {
+      bindings[context][gesture] = selects[gesture].value;
+    });
+  });
+  
+  return bindings;
+}
+
+// ============================================================================
+// GESTURE CALIBRATION
+// ============================================================================
+
+const CALIBRATION_TAP_COUNT = 8; // Practice taps recorded
+const CALIBRATION_SWIPE_COUNT = 6; // Practice swipes recorded (alternating up/down, left/right on horizontal sites)
+const CALIBRATION_MIN_SWIPE = 20; // px - shorter "swipes" are rejected as taps
+const CALIBRATION_MAX_TAP_MOVEMENT = 60; // px - wider "taps" are rejected as swipes
+const CALIBRATION_MAX_TAP_DURATION = 1000; // ms - longer "taps" are rejected as long presses
+const CALIBRATION_LONG_PRESS_MARGIN = 50; // ms - a tap must end at least this long before a long press fires
+
+// Calibration state
+let calibrationTaps = []; // { duration, movement }
+let calibrationSwipes = []; // { distance }
+let calibrationPointer = null; // Pointer currently touching the pad
+
+// Open the calibration modal and start from the first practice tap
+function openCalibrationModal() {
+  const modal = document.getElementById('calibrationModal');
+  const pad = document.getElementById('calibrationPad');
+  if (!modal || !pad) {
+    return;
+  }
+  
+  calibrationTaps = [];
+  calibrationSwipes = [];
+  calibrationPointer = null;
+  
+  // Pad listeners are attached once
+  if (!pad.dataset.listening) {
+    pad.dataset.listening = 'true';
+    pad.addEventListener('pointerdown', onCalibrationPointerDown);
+    pad.addEventListener('pointermove', onCalibrationPointerMove);
+    pad.addEventListener('pointerup', onCalibrationPointerUp);
+    pad.addEventListener('pointercancel', () => {
+      calibrationPointer = null;
+    });
+    document.getElementById('btnApplyCalibration').addEventListener('click', applyCalibration);
+  }
+  
+  updateCalibrationPrompt();
+  modal.classList.add('show');
+}
+
+// Close calibration modal
+function closeCalibrationModal() {
+  const modal = document.getElementById('calibrationModal');
+  if (modal) {
+    modal.classList.remove('show');
+  }
+  calibrationPointer = null;
+}
+
+// Speed swipes run along the domain's scroll axis (left/right for side-scrolling readers)
+function isCalibrationHorizontal() {
+  return elements.scrollAxisHorizontal.checked;
+}
+
+// Show the next practice gesture (or the derived thresholds when done)
+function updateCalibrationPrompt(notice) {
+  const pad = document.getElementById('calibrationPad');
+  const progress = document.getElementById('calibrationProgress');
+  const result = document.getElementById('calibrationResult');
+  const applyButton = document.getElementById('btnApplyCalibration');
+  
+  const tapsLeft = CALIBRATION_TAP_COUNT - calibrationTaps.length;
+  const swipesDone = calibrationSwipes.length;
+  
+  if (tapsLeft > 0) {
+    pad.textContent = notice || 'Tap here the way you normally tap a page';
+    progress.textContent = `Tap ${calibrationTaps.length + 1} of ${CALIBRATION_TAP_COUNT}`;
+  } else if (swipesDone < CALIBRATION_SWIPE_COUNT) {
+    const directions = isCalibrationHorizontal() ? ['left', 'right'] : ['up', 'down'];
+    const direction = directions[swipesDone % 2];
+    pad.textContent = notice || `Swipe ${direction} across the pad, like changing the speed`;
+    progress.textContent = `Swipe ${swipesDone + 1} of ${CALIBRATION_SWIPE_COUNT}`;
+  } else {
+    const thresholds = deriveCalibratedThresholds();
+    pad.textContent = 'Done!';
+    progress.textContent = 'Apply to use these thresholds for the selected domain';
+    result.textContent = `Tap: up to ${thresholds.tapMaxDuration}ms and ${thresholds.tapMaxMovement}px - ` +
+      `Swipe: at least ${thresholds.swipeMinDistance}px - ` +
+      `Speed step: every ${thresholds.speedAdjustmentDistance}px`;
+    applyButton.disabled = false;
+    return;
+  }
+  
+  result.textContent = '';
+  applyButton.disabled = true;
+}
+
+// Practice gesture starts
+function onCalibrationPointerDown(event) {
+  event.preventDefault();
+  event.currentTarget.setPointerCapture(event.pointerId);
+  event.currentTarget.classList.remove('recorded');
+  
+  calibrationPointer = {
+    id: event.pointerId,
+    startX: event.clientX,
+    startY: event.clientY,
+    startTime: Date.now(),
+    movement: 0
+  };
+}
+
+// Track the widest wobble (taps) and the travel (swipes)
+function onCalibrationPointerMove(event) {
+  if (!calibrationPointer || event.pointerId !== calibrationPointer.id) {
+    return;
+  }
+  
+  const movement = Math.max(
+    Math.abs(event.clientX - calibrationPointer.startX),
+    Math.abs(event.clientY - calibrationPointer.startY)
+  );
+  calibrationPointer.movement = Math.max(calibrationPointer.movement, movement);
+}
+
+// Practice gesture ends - record it if it looks like what was asked for
+function onCalibrationPointerUp(event) {
+  if (!calibrationPointer || event.pointerId !== calibrationPointer.id) {
+    return;
+  }
+  
+  onCalibrationPointerMove(event);
+  const duration = Date.now() - calibrationPointer.startTime;
+  const movement = calibrationPointer.movement;
+  const distance = isCalibrationHorizontal()
+    ? Math.abs(event.clientX - calibrationPointer.startX)
+    : Math.abs(event.clientY - calibrationPointer.startY);
+  calibrationPointer = null;
+  
+  if (calibrationTaps.length < CALIBRATION_TAP_COUNT) {
+    if (movement > CALIBRATION_MAX_TAP_MOVEMENT || duration > CALIBRATION_MAX_TAP_DURATION) {
+      updateCalibrationPrompt('That was more than a tap - just tap and lift');
+      return;
+    }
+    calibrationTaps.push({ duration: duration, movement: movement });
+  } else if (calibrationSwipes.length < CALIBRATION_SWIPE_COUNT) {
+    if (distance < CALIBRATION_MIN_SWIPE) {
+      updateCalibrationPrompt(`Too short - swipe further ${isCalibrationHorizontal() ? 'left or right' : 'up or down'}`);
+      return;
+    }
+    calibrationSwipes.push({ distance: distance });
+  } else {
+    return;
+  }
+  
+  event.currentTarget.classList.add('recorded');
+  updateCalibrationPrompt();
+}
+
+// Turn the practice gestures into recognizer thresholds (within the slider ranges)
+function deriveCalibratedThresholds() {
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+  const swipeDistances = calibrationSwipes.map(swipe => swipe.distance).sort((a, b) => a - b);
+  
+  const longestTap = Math.max(...calibrationTaps.map(tap => tap.duration));
+  const widestTap = Math.max(...calibrationTaps.map(tap => tap.movement));
+  const shortestSwipe = swipeDistances[0];
+  const typicalSwipe = swipeDistances[Math.floor(swipeDistances.length / 2)];
+  
+  // Headroom over the slowest / shakiest practice tap, but a tap must end before a long press starts
+  const longPressDuration = parseFloat(elements.longPressDuration.value) || DEFAULT_CONFIG.longPressDuration;
+  const tapMaxDuration = clamp(Math.round(longestTap * 1.5 / 10) * 10, 100,
+    Math.min(600, longPressDuration - CALIBRATION_LONG_PRESS_MARGIN));
+  const tapMaxMovement = clamp(Math.ceil(widestTap * 1.5) + 2, 4, 40);
+  
+  // Well clear of taps, but short enough that the shortest practice swipe still counts
+  const swipeMinDistance = clamp(Math.round(Math.max(tapMaxMovement * 2, shortestSwipe * 0.6) / 5) * 5, 20, 150);
+  
+  // About five speed steps per typical swipe
+  const speedAdjustmentDistance = clamp(Math.round(typicalSwipe / 5 / 5) * 5, 10, 100);
+  
+  return {
+    tapMaxDuration: tapMaxDuration,
+    tapMaxMovement: tapMaxMovement,
+    swipeMinDistance: swipeMinDistance,
+    speedAdjustmentDistance: speedAdjustmentDistance
+  };
+}
+
+// Put the derived thresholds into the sliders and save
+function applyCalibration() {
+  const thresholds = deriveCalibratedThresholds();
+  
+  Object.keys(thresholds).forEach(key => {
+    elements[key].value = thresholds[key];
+    if (elements[`${key}Input`]) elements[`${key}Input`].value = thresholds[key];
+  });
+  
+  closeCalibrationModal();
+  autoSaveSettings();
+}
+
+// ============================================================================
+// KEYBOARD SHORTCUTS
+// ============================================================================
+
+// Key codes whose commands API name differs from the code
+const SHORTCUT_KEY_NAMES = {
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right'
+};
+
+// Keys the commands API accepts as-is (by KeyboardEvent.code)
+const SHORTCUT_PLAIN_KEYS = ['Home', 'End', 'PageUp', 'PageDown', 'Insert', 'Delete', 'Space', 'Comma', 'Period'];
+
+// Get the commands API name of a key (null for modifiers and unsupported keys)
+// Uses the physical key so Shift doesn't change it (Shift+1 is "1", not "!")
+function getShortcutKey(code) {
+  if (/^Key[A-Z]$/.test(code)) {
+    return code.slice(3);
+  }
+  if (/^Digit[0-9]$/.test(code)) {
+    return code.slice(5);
+  }
+  if (/^F([1-9]|1[0-2])$/.test(code) || SHORTCUT_PLAIN_KEYS.includes(code)) {
+    return code;
+  }
+  return SHORTCUT_KEY_NAMES[code] || null;
+}
+
+// Show the manifest commands with their current shortcuts
+async function renderKeyboardShortcuts() {
+  const container = document.getElementById('keyboardShortcuts');
+  const commands = await browser.commands.getAll();
+  
+  container.textContent = '';
+  commands.forEach(command => {
+    const row = document.createElement('div');
+    row.className = 'binding-row';
+    
+    const label = document.createElement('label');
+    label.htmlFor = `shortcut-${command.name}`;
+    label.textContent = command.description || command.name;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `shortcut-${command.name}`;
+    input.readOnly = true;
+    input.placeholder = 'Not set';
+    input.value = command.shortcut || '';
+    input.addEventListener('keydown', event => {
+      recordShortcut(event, command.name);
+    });
+    
+    row.appendChild(label);
+    row.appendChild(input);
+    container.appendChild(row);
+  });
+}
+
+// Record the key combination pressed in a shortcut field (Backspace clears it)
+async function recordShortcut(event, name) {
+  // Let Tab move between fields
+  if (event.key === 'Tab') {
+    return;
+  }
+  event.preventDefault();
+  
+  let shortcut = '';
+  if (event.key !== 'Backspace') {
+    const key = getShortcutKey(event.code);
+    if (!key) {
+      return; // Modifier on its own - wait for the actual key
+    }
+    
+    const modifiers = [];
+    if (event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.metaKey) modifiers.push('Command');
+    if (event.shiftKey) modifiers.push('Shift');
+    shortcut = [...modifiers, key].join('+');
+  }
+  
+  try {
+    await browser.commands.update({ name: name, shortcut: shortcut });
+    event.target.value = shortcut;
+    showStatusMessage(shortcut ? `Shortcut set to ${shortcut}` : 'Shortcut removed', 'success');
+  } catch (error) {
+    // Firefox rejects combinations without Ctrl/Alt (except F-keys) and ones it already uses
+    showStatusMessage(`Can't use ${shortcut} - try Ctrl or Alt with a key`, 'error', 3000);
+  }
+}
+
+// Setup the keyboard shortcut editor
+// The commands API is desktop-only - Firefox for Android has no browser.commands
+async function setupKeyboardShortcuts() {
+  const section = document.getElementById('keyboardShortcutsSection');
+  if (!section) {
+    return;
+  }
+  
+  if (!browser.commands || !browser.commands.update) {
+    section.style.display = 'none';
+    return;
+  }
+  
+  try {
+    await renderKeyboardShortcuts();
+  } catch (error) {
+    console.error('Failed to load keyboard shortcuts:', error);
+    section.style.display = 'none';
+    return;
+  }
+  
+  document.getElementById('btnResetShortcuts').addEventListener('click', async () => {
+    try {
+      const commands = await browser.commands.getAll();
+      for (const command of commands) {
+        await browser.commands.reset(command.name);
+      }
+      await renderKeyboardShortcuts();
+      showStatusMessage('Shortcuts reset to defaults', 'success');
+    } catch (error) {
+      console.error('Failed to reset keyboard shortcuts:', error);
+      showStatusMessage('Failed to reset shortcuts', 'error', 3000);
+    }
+  });
+}
+
+// ============================================================================
+// READ ALOUD VOICES
+// ============================================================================
+
+// Fill the voice dropdown with the speech synthesis voices on this device
+function populateTtsVoices() {
+  if (!elements.ttsVoice || !('speechSynthesis' in window)) {
+    return;
+  }
+  
+  const selected = elements.ttsVoice.value;
+  elements.ttsVoice.innerHTML = '<option value="">Browser default</option>';
+  
+  speechSynthesis.getVoices().forEach(voice => {
+    const option = document.createElement('option');
+    option.value = voice.voiceURI;
+    option.textContent = `${voice.name} (${voice.lang})`;
+    elements.ttsVoice.appendChild(option);
+  });
+  
+  setTtsVoiceSelection(selected);
+}
+
+// Select a voice in the dropdown, keeping voices not installed on this device
+function setTtsVoiceSelection(voiceURI) {
+  if (!elements.ttsVoice) {
+    return;
+  }
+  
+  const exists = Array.from(elements.ttsVoice.options).some(option => option.value === voiceURI);
+  if (!exists) {
+    const option = document.createElement('option');
+    option.value = voiceURI;
+    option.textContent = `${voiceURI} (not available on this device)`;
+    elements.ttsVoice.appendChild(option);
+  }
+  
+  elements.ttsVoice.value = voiceURI;
+}
+
+// Voices load asynchronously - refill the dropdown when they arrive
+function setupTtsVoices() {
+  if (!('speechSynthesis' in window)) {
+    return;
+  }
+  
+  populateTtsVoices();
+  speechSynthesis.addEventListener('voiceschanged', populateTtsVoices);
+}
+
+// ============================================================================
+// SLEEP TIMER CONTROLS
+// ============================================================================
+
+// Send a sleep timer command to the content script in the active tab
+async function sendSleepTimerCommand(action, minutes) {
+  try {
+    const tabId = await getSleepTimerTabId();
+    if (tabId === null) {
+      showSleepTimerStatus('No page tab found', 'error');
+      return;
+    }
+    
+    const response = await browser.tabs.sendMessage(tabId, {
+      action: action,
+      minutes: minutes
+    });
+    
+    if (response && response.success) {
+      showSleepTimerStatus(formatSleepTimerStatus(response.remaining), 'success');
+    } else {
+      showSleepTimerStatus(response ? response.error : 'No response from page', 'error');
+    }
+  } catch (error) {
+    // Content script not available (e.g. about: pages)
+    showSleepTimerStatus('Sleep timer is not available on this page', 'error');
+  }
+}
+
+// Get the tab the sleep timer buttons act on
+// In the popup that is the active tab; when the options page is open in its own tab
+// the active tab is this page, so use the last active web page tab instead
+async function getSleepTimerTabId() {
+  const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+  const currentTab = await browser.tabs.getCurrent();
+  
+  if (tabs.length > 0 && !(currentTab && currentTab.id === tabs[0].id)) {
+    return tabs[0].id;
+  }
+  
+  const response = await browser.runtime.sendMessage({ action: 'getLastActiveTab' });
+  if (response && response.success && response.tabInfo && response.tabInfo.tabId !== undefined) {
+    return response.tabInfo.tabId;
+  }
+  
+  return null;
+}
+
+// Format remaining sleep timer time for display
+function formatSleepTimerStatus(remaining) {
+  if (remaining === null || remaining === undefined) {
+    return 'No sleep timer running';
+  }
+  
+  const minutes = Math.ceil(remaining / 60000);
+  return `Autoscroll stops in ${minutes} min`;
+}
+
+// Show sleep timer status message
+function showSleepTimerStatus(message, type) {
+  if (elements.sleepTimerStatus) {
+    elements.sleepTimerStatus.textContent = message;
+    elements.sleepTimerStatus.className = `test-result visible ${type}`;
+  }
+}
+
+// Setup sleep timer buttons (act on the active web page tab)
+function setupSleepTimerControls() {
+  if (!elements.btnStartSleepTimer) {
+    return;
+  }
+  
+  elements.btnStartSleepTimer.addEventListener('click', () => {
+    const minutes = parseFloat(elements.sleepTimerMinutesInput.value);
+    if (!(minutes > 0)) {
+      showSleepTimerStatus('Set a session duration first', 'error');
+      return;
+    }
+    sendSleepTimerCommand('startSleepTimer', minutes);
+  });
+  
+  elements.btnExtendSleepTimer.addEventListener('click', () => {
+    sendSleepTimerCommand('extendSleepTimer', parseFloat(elements.sleepTimerExtendMinutesInput.value));
+  });
+  
+  elements.btnCancelSleepTimer.addEventListener('click', () => {
+    sendSleepTimerCommand('cancelSleepTimer');
+  });
+  
+  // Show the timer already running on the active tab (if any)
+  browser.tabs.query({ active: true, currentWindow: true })
+    .then(tabs => tabs.length > 0 ? browser.tabs.sendMessage(tabs[0].id, { action: 'getSleepTimer' }) : null)
+    .then(response => {
+      if (response && response.success && response.remaining !== null) {
+        showSleepTimerStatus(formatSleepTimerStatus(response.remaining), 'success');
+      }
+    })
+    .catch(() => {
+      // Content script not available - leave status hidden
+    });
+}
+
 // ============================================================================
 // PRESET MANAGEMENT
 // ============================================================================
@@ -2004,6 +3810,7 @@ function closeAllModals() {
   closeLoadPresetModal();
   closeManagePresetsModal();
   closeRenamePresetModal();
+  closeCalibrationModal();
 }
 
 